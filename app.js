@@ -1,803 +1,7492 @@
 // ===== State Management =====
 class BoardState {
-    constructor() {
+    static SAVE_DELAY = 250;
+
+    constructor(boardId) {
+        this.boardId = boardId;
+
         this.pins = new Map();
-        this.history = [];
-        this.historyIndex = -1;
-        this.maxHistory = 50;
-        this.tags = new Set(['all']);
-        this.activeTag = 'all';
+        this.connectors = new Map();
+        this.history = new History();
+        this.tags = new Set();
+        // Colors by tag name, kept as { id: name, color } so they sync and undo like pins
+        this.tagStyles = new Map();
+        // Pins show when they have none of `exclude` and any (or, in 'all' mode, every) of `include`
+        this.tagFilter = { include: [], exclude: [], mode: 'any' };
+        // Id of the frame whose contents the tag panel is showing, if any
+        this.activeFrame = null;
+        // A pin shown in spite of the filters and collapsed frames (the current search match).
+        // It only affects the view, so it is never saved, undone or synced
+        this.revealedPin = null;
         this.nextPinId = 1;
+        this.nextConnectorId = 1;
 
         // Canvas state
         this.zoom = 1;
         this.panX = 0;
         this.panY = 0;
 
-        this.loadFromStorage();
+        // Persistence: pins changed since the last write, and ids already in the database
+        this.dirtyPins = new Set();
+        this.storedPinIds = new Set();
+        this.saveTimer = null;
+
+        // Sync stamps by `${kind}:${id}`: { fields: { name: stamp }, exists, alive, created }
+        this.stamps = new Map();
+        // Called with every local change as a message of stamped operations
+        this.listeners = new Set();
+        // When the board last changed here or remotely, so unchanged boards get no automatic snapshots
+        this.lastChange = 0;
+    }
+
+    static async load(boardId) {
+        const boardState = new BoardState(boardId);
+        await boardState.loadFromStorage();
+        return boardState;
     }
 
     addPin(pin) {
+        this.stackOnTop([pin]);
+        const command = Commands.createPin(pin);
         this.pins.set(pin.id, pin);
-        this.saveState();
+        this.dirtyPins.add(pin.id);
+        this.record(command);
         this.saveToStorage();
         this.updateTagList();
     }
 
-    updatePin(id, updates) {
+    // With `coalesce`, consecutive updates to the same fields of a pin (typing) share one undo step
+    updatePin(id, updates, { coalesce = false } = {}) {
         const pin = this.pins.get(id);
-        if (pin) {
+        if (pin && this.hasChanges(pin, updates)) {
+            const command = Commands.updatePin(pin, updates, coalesce);
             Object.assign(pin, updates);
-            this.saveState();
+            this.dirtyPins.add(id);
+            this.record(command);
             this.saveToStorage();
+            if ('tags' in updates) this.updateTagList();
         }
     }
 
     deletePin(id) {
-        this.pins.delete(id);
-        this.saveState();
+        this.deletePins([id]);
+    }
+
+    // Group operations record a single undo step however many pins they touch
+    addPins(pins, label, connectors = [], tagStyles = []) {
+        this.stackOnTop(pins);
+        this.record(Commands.addPins(pins, label, connectors, tagStyles));
+        pins.forEach(pin => {
+            this.pins.set(pin.id, pin);
+            this.dirtyPins.add(pin.id);
+        });
+        connectors.forEach(connector => this.connectors.set(connector.id, connector));
+        tagStyles.forEach(style => this.tagStyles.set(style.id, style));
+        this.saveToStorage();
+        this.updateTagList();
+    }
+
+    updatePins(updatesById, { coalesce = false, label = null } = {}) {
+        const entries = Array.from(updatesById)
+            .filter(([id, updates]) => this.pins.has(id) && this.hasChanges(this.pins.get(id), updates))
+            .map(([id, updates]) => [this.pins.get(id), updates]);
+        if (entries.length === 0) return;
+
+        this.record(Commands.updatePins(entries, coalesce, label));
+        entries.forEach(([pin, updates]) => {
+            Object.assign(pin, updates);
+            this.dirtyPins.add(pin.id);
+        });
+        this.saveToStorage();
+        if (entries.some(([, updates]) => 'tags' in updates)) this.updateTagList();
+    }
+
+    // Connectors attached to deleted pins go with them, in the same undo step
+    deletePins(ids, label) {
+        const pins = ids.filter(id => this.pins.has(id)).map(id => this.pins.get(id));
+        if (pins.length === 0) return;
+
+        const connectors = this.getConnectorsForPins(ids);
+        this.record(Commands.deletePins(pins, connectors, label));
+        pins.forEach(pin => this.pins.delete(pin.id));
+        connectors.forEach(connector => this.connectors.delete(connector.id));
         this.saveToStorage();
         this.updateTagList();
     }
 
+    // Skips no-op updates, e.g. a header click that did not move the pin
+    hasChanges(pin, updates) {
+        return !Object.keys(updates).every(key => pin[key] === updates[key]);
+    }
+
     getPin(id) {
         return this.pins.get(id);
     }
 
+    addConnector(connector) {
+        this.record(Commands.createConnector(connector));
+        this.connectors.set(connector.id, connector);
+        this.saveToStorage();
+    }
+
+    updateConnector(id, updates) {
+        const connector = this.connectors.get(id);
+        if (connector && this.hasChanges(connector, updates)) {
+            this.record(Commands.updateConnector(connector, updates));
+            Object.assign(connector, updates);
+            this.saveToStorage();
+        }
+    }
+
+    deleteConnector(id) {
+        const connector = this.connectors.get(id);
+        if (connector) {
+            this.record(Commands.deleteConnector(connector));
+            this.connectors.delete(id);
+            this.saveToStorage();
+        }
+    }
+
+    getConnector(id) {
+        return this.connectors.get(id);
+    }
+
+    getAllConnectors() {
+        return Array.from(this.connectors.values());
+    }
+
+    getConnectorsForPins(ids) {
+        const pinIds = new Set(ids);
+        return this.getAllConnectors().filter(connector => pinIds.has(connector.from) || pinIds.has(connector.to));
+    }
+
     getAllPins() {
         return Array.from(this.pins.values());
     }
 
+    // Frames stay behind other pins. Otherwise pins stack by `z`, then by id so that every tab
+    // and peer agrees on ties; pins saved before stacking was stored have no `z` and so stack
+    // in the order they were created.
+    static compareStacking(a, b) {
+        return (b.type === 'frame') - (a.type === 'frame') ||
+            (a.z || 0) - (b.z || 0) ||
+            a.id.localeCompare(b.id, undefined, { numeric: true });
+    }
+
+    // All pins, bottom to top
+    getStackedPins() {
+        return this.getAllPins().sort(BoardState.compareStacking);
+    }
+
+    // New pins go on top, keeping their order among themselves
+    stackOnTop(pins) {
+        const others = this.getAllPins().filter(pin => !pins.includes(pin));
+        let top = others.reduce((max, pin) => Math.max(max, pin.z || 0), 0);
+        pins.slice().sort(BoardState.compareStacking).forEach(pin => {
+            pin.z = ++top;
+        });
+    }
+
+    // `order` lists pins bottom to top; they are numbered from 1 in one undo step, which only
+    // touches the pins whose place actually changed
+    restack(order, label) {
+        this.updatePins(new Map(order.map((pin, index) => [pin.id, { z: index + 1 }])), { label });
+    }
+
     getFilteredPins() {
-        if (this.activeTag === 'all') {
-            return this.getAllPins();
-        }
-        return this.getAllPins().filter(pin =>
-            pin.tags && pin.tags.includes(this.activeTag)
-        );
+        return this.getAllPins().filter(pin => this.matchesFilter(pin));
     }
 
-    saveState() {
-        // Remove future history if we're not at the end
-        if (this.historyIndex < this.history.length - 1) {
-            this.history = this.history.slice(0, this.historyIndex + 1);
-        }
+    // Pins inside a collapsed frame are hidden along with anything the tag or frame filter excludes
+    matchesFilter(pin) {
+        if (pin.id === this.revealedPin) return true;
+        const frame = this.getFrame(pin);
+        if (frame && frame.collapsed) return false;
+        if (this.activeFrame && pin.id !== this.activeFrame && (!frame || frame.id !== this.activeFrame)) return false;
+        return this.matchesTagFilter(pin.tags || []);
+    }
 
-        // Save current state
-        const state = {
-            pins: Array.from(this.pins.entries()),
-            zoom: this.zoom,
-            panX: this.panX,
-            panY: this.panY
-        };
+    matchesTagFilter(tags) {
+        const { include, exclude, mode } = this.tagFilter;
+        if (exclude.some(tag => tags.includes(tag))) return false;
+        if (include.length === 0) return true;
+        return mode === 'all' ? include.every(tag => tags.includes(tag)) : include.some(tag => tags.includes(tag));
+    }
 
-        this.history.push(JSON.parse(JSON.stringify(state)));
+    isTagFilterActive() {
+        return this.tagFilter.include.length > 0 || this.tagFilter.exclude.length > 0;
+    }
 
-        // Limit history size
-        if (this.history.length > this.maxHistory) {
-            this.history.shift();
-        } else {
-            this.historyIndex++;
+    // ===== Tags =====
+    getTagColor(tag) {
+        const style = this.tagStyles.get(tag);
+        return style ? style.color : null;
+    }
+
+    getTaggedPins(tag) {
+        return this.getAllPins().filter(pin => (pin.tags || []).includes(tag));
+    }
+
+    setTagColor(tag, color) {
+        const before = this.tagStyles.get(tag) || null;
+        const after = color ? { id: tag, color } : null;
+        if ((before && before.color) === (after && after.color)) return;
+        this.changeTags([], [Commands.tagChange(tag, before, after)], 'tag color');
+    }
+
+    // Renames a tag on every pin in one undo step, merging it into `to` if that tag exists.
+    // Its color goes with it unless `to` has one of its own.
+    renameTag(from, to) {
+        const rename = tags => Array.from(new Set(tags.map(tag => tag === from ? to : tag)));
+        const entries = this.getTaggedPins(from).map(pin => [pin, { tags: rename(pin.tags) }]);
+        const merging = this.tags.has(to);
+        const style = this.tagStyles.get(from);
+        const styleChanges = [];
+        if (style) {
+            styleChanges.push(Commands.tagChange(from, style, null));
+            if (!this.tagStyles.has(to)) styleChanges.push(Commands.tagChange(to, null, { id: to, color: style.color }));
         }
 
+        const include = rename(this.tagFilter.include);
+        const exclude = rename(this.tagFilter.exclude).filter(tag => !include.includes(tag));
+        this.tagFilter = { ...this.tagFilter, include, exclude };
+        this.changeTags(entries, styleChanges, merging ? `merge tag "${from}" into "${to}"` : `rename tag "${from}"`);
+    }
+
+    deleteTag(tag) {
+        const entries = this.getTaggedPins(tag).map(pin => [pin, { tags: pin.tags.filter(other => other !== tag) }]);
+        const style = this.tagStyles.get(tag);
+        this.changeTags(entries, style ? [Commands.tagChange(tag, style, null)] : [], `delete tag "${tag}"`);
+    }
+
+    // Pin tag updates (`entries` of [pin, updates]) and tag style changes as one undo step
+    changeTags(entries, styleChanges, label) {
+        const command = Commands.updatePins(entries, false, label);
+        command.changes.push(...styleChanges);
+        if (command.changes.length === 0) return;
+
+        this.record(command);
+        entries.forEach(([pin, updates]) => {
+            Object.assign(pin, updates);
+            this.dirtyPins.add(pin.id);
+        });
+        styleChanges.forEach(change => {
+            if (change.after) {
+                this.tagStyles.set(change.id, cloneValue(change.after));
+            } else {
+                this.tagStyles.delete(change.id);
+            }
+        });
+        this.saveToStorage();
+        this.updateTagList();
+    }
+
+    // ===== Frames =====
+    // A pin belongs to the frame named by its `frameId`. The link is ignored while that frame
+    // doesn't exist, so deleting a frame frees its pins and undoing the delete takes them back.
+    getFrame(pin) {
+        const frame = pin.frameId ? this.pins.get(pin.frameId) : null;
+        return frame && frame.type === 'frame' ? frame : null;
+    }
+
+    getFrames() {
+        return this.getAllPins().filter(pin => pin.type === 'frame');
+    }
+
+    getFrameChildren(frameId) {
+        return this.getAllPins().filter(pin => pin.frameId === frameId && pin.type !== 'frame');
+    }
+
+    // The topmost expanded frame under the centre of `rect`, leaving out the frames in `excluded`
+    frameAt(rect, excluded = new Set()) {
+        const center = ConnectorGeometry.center(rect);
+        const frames = this.getFrames()
+            .filter(frame => !frame.collapsed && !excluded.has(frame.id) && this.matchesFilter(frame) &&
+                rectContainsPoint(frame, center))
+            .sort(BoardState.compareStacking);
+        return frames.length > 0 ? frames[frames.length - 1] : null;
+    }
+
+    // The pins plus everything inside any frames among them
+    withFrameContents(pins) {
+        const ids = new Set(pins.map(pin => pin.id));
+        const contents = this.getAllPins().filter(pin => !ids.has(pin.id) && pin.type !== 'frame' && ids.has(pin.frameId));
+        return pins.concat(contents);
+    }
+
+    record(command) {
+        this.lastChange = Date.now();
+        this.history.push(command);
         this.updateUndoRedoButtons();
+        this.publish(command.changes, 'after');
     }
 
     undo() {
-        if (this.historyIndex > 0) {
-            this.historyIndex--;
-            this.restoreState(this.history[this.historyIndex]);
-            this.updateUndoRedoButtons();
+        const command = this.history.undo();
+        if (command) {
+            this.applyChanges(command.changes, 'before');
         }
     }
 
     redo() {
-        if (this.historyIndex < this.history.length - 1) {
-            this.historyIndex++;
-            this.restoreState(this.history[this.historyIndex]);
-            this.updateUndoRedoButtons();
+        const command = this.history.redo();
+        if (command) {
+            this.applyChanges(command.changes, 'after');
         }
     }
 
-    restoreState(state) {
-        this.pins = new Map(state.pins);
-        this.zoom = state.zoom;
-        this.panX = state.panX;
-        this.panY = state.panY;
+    // Plays one side of a command's changes back onto the board and re-renders only those pins
+    applyChanges(changes, side) {
+        this.lastChange = Date.now();
+        // Undo walks the changes backwards so replaced pins come back in the right order
+        const ordered = side === 'before' ? changes.slice().reverse() : changes;
+
+        ordered.forEach(change => {
+            const target = change[side];
+            const items = this.getItems(change.kind);
+            const item = items.get(change.id);
+
+            if (target === null) {
+                items.delete(change.id);
+            } else if (!item || change[side === 'before' ? 'after' : 'before'] === null) {
+                items.set(change.id, cloneValue(target));
+            } else {
+                Object.assign(item, cloneValue(target));
+            }
+            if (!change.kind) this.dirtyPins.add(change.id);
+        });
+        this.publish(changes, side);
 
-        boardRenderer.renderAllPins();
-        canvasController.updateTransform();
+        boardRenderer.refreshPins(this.getChangedPinIds(changes));
         this.saveToStorage();
         this.updateTagList();
+        this.updateUndoRedoButtons();
     }
 
     updateUndoRedoButtons() {
         const undoBtn = document.getElementById('undoBtn');
         const redoBtn = document.getElementById('redoBtn');
+        const undoCommand = this.history.peekUndo();
+        const redoCommand = this.history.peekRedo();
+
+        undoBtn.disabled = !undoCommand;
+        redoBtn.disabled = !redoCommand;
+        undoBtn.title = undoCommand ? `Undo ${undoCommand.label} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+        redoBtn.title = redoCommand ? `Redo ${redoCommand.label} (Ctrl+Y)` : 'Redo (Ctrl+Y)';
+    }
 
-        undoBtn.disabled = this.historyIndex <= 0;
-        redoBtn.disabled = this.historyIndex >= this.history.length - 1;
+    markAllDirty() {
+        this.pins.forEach((pin, id) => this.dirtyPins.add(id));
     }
 
+    // Changes made within SAVE_DELAY of each other are written in one transaction
     saveToStorage() {
-        const data = {
-            pins: Array.from(this.pins.entries()),
-            zoom: this.zoom,
-            panX: this.panX,
-            panY: this.panY,
-            nextPinId: this.nextPinId
-        };
-        localStorage.setItem('freeboard_state', JSON.stringify(data));
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.flush(), BoardState.SAVE_DELAY);
     }
 
-    loadFromStorage() {
-        const saved = localStorage.getItem('freeboard_state');
-        if (saved) {
-            try {
-                const data = JSON.parse(saved);
-                this.pins = new Map(data.pins);
-                this.zoom = data.zoom || 1;
-                this.panX = data.panX || 0;
-                this.panY = data.panY || 0;
-                this.nextPinId = data.nextPinId || 1;
-
-                // Initialize history with loaded state
-                this.saveState();
-                this.updateTagList();
-            } catch (e) {
-                console.error('Failed to load state:', e);
+    cancelSave() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+    }
+
+    async flush() {
+        this.cancelSave();
+
+        const changed = Array.from(this.dirtyPins)
+            .filter(id => this.pins.has(id))
+            .map(id => this.pins.get(id));
+        const deleted = Array.from(this.storedPinIds).filter(id => !this.pins.has(id));
+        this.dirtyPins.clear();
+
+        try {
+            await boardStore.saveBoardState(this.boardId, {
+                zoom: this.zoom,
+                panX: this.panX,
+                panY: this.panY,
+                nextPinId: this.nextPinId,
+                connectors: this.getAllConnectors(),
+                nextConnectorId: this.nextConnectorId,
+                tagStyles: Array.from(this.tagStyles.values()),
+                tagFilter: this.tagFilter
+            }, changed, deleted);
+
+            changed.forEach(pin => this.storedPinIds.add(pin.id));
+            deleted.forEach(id => this.storedPinIds.delete(id));
+        } catch (error) {
+            // Keep the pins dirty so the next save retries them
+            changed.forEach(pin => this.dirtyPins.add(pin.id));
+            reportStorageError(error);
+        }
+    }
+
+    async loadFromStorage() {
+        try {
+            const board = await boardStore.getBoard(this.boardId);
+            const pins = (await boardStore.getPins(this.boardId)).map(pin => PinTypes.migrate(pin));
+
+            this.pins = new Map(pins.map(pin => [pin.id, pin]));
+            this.storedPinIds = new Set(this.pins.keys());
+            if (board) {
+                this.zoom = board.zoom || 1;
+                this.panX = board.panX || 0;
+                this.panY = board.panY || 0;
+                this.nextPinId = board.nextPinId || 1;
+                this.connectors = new Map((board.connectors || []).map(connector => [connector.id, connector]));
+                this.nextConnectorId = board.nextConnectorId || 1;
+                this.tagStyles = new Map((board.tagStyles || []).map(style => [style.id, style]));
+                if (board.tagFilter) this.tagFilter = board.tagFilter;
             }
-        } else {
-            // Initialize with empty state
-            this.saveState();
+            await imageLibrary.load(collectImageIds(pins));
+            this.updateTagList();
+        } catch (e) {
+            console.error('Failed to load state:', e);
         }
     }
 
+    // Tags that no pin carries any more drop out of the filter
     updateTagList() {
-        this.tags = new Set(['all']);
+        if (this.activeFrame && !this.getFrame({ frameId: this.activeFrame })) this.activeFrame = null;
+        this.tags = new Set();
         this.getAllPins().forEach(pin => {
             if (pin.tags) {
                 pin.tags.forEach(tag => this.tags.add(tag));
             }
         });
+        const { include, exclude } = this.tagFilter;
+        if (!include.concat(exclude).every(tag => this.tags.has(tag))) {
+            this.tagFilter = {
+                ...this.tagFilter,
+                include: include.filter(tag => this.tags.has(tag)),
+                exclude: exclude.filter(tag => this.tags.has(tag))
+            };
+        }
         // Only render if boardRenderer is initialized
         if (typeof boardRenderer !== 'undefined' && boardRenderer) {
             boardRenderer.renderTagList();
         }
     }
 
-    saveSnapshot(name) {
-        const snapshots = this.getSnapshots();
+    // `auto` is 'periodic' or 'restore' for snapshots FreeBoard takes by itself, which are the
+    // only ones the retention settings delete
+    // Resolves to whether the snapshot was stored
+    async saveSnapshot(name, auto = null) {
         const snapshot = {
+            boardId: this.boardId,
             name,
+            auto,
             date: new Date().toISOString(),
             data: {
                 pins: Array.from(this.pins.entries()),
+                connectors: this.getAllConnectors(),
+                tagStyles: cloneValue(Array.from(this.tagStyles.values())),
                 zoom: this.zoom,
                 panX: this.panX,
                 panY: this.panY
             }
         };
-        snapshots.push(snapshot);
-        localStorage.setItem('freeboard_snapshots', JSON.stringify(snapshots));
+        try {
+            await boardStore.addSnapshots([snapshot]);
+            return true;
+        } catch (error) {
+            reportStorageError(error);
+            return false;
+        }
     }
 
-    loadSnapshot(index) {
-        const snapshots = this.getSnapshots();
-        if (snapshots[index]) {
-            const snapshot = snapshots[index];
-            this.pins = new Map(snapshot.data.pins);
+    // The board as it was is saved as a snapshot first, so restoring never loses it
+    async loadSnapshot(id) {
+        const snapshot = await boardStore.getSnapshot(id);
+        if (snapshot) {
+            await imageLibrary.load(collectImageIds(snapshot.data.pins.map(entry => entry[1])));
+            const backupName = `Before restoring "${snapshot.name}"`;
+            if (!await this.saveSnapshot(backupName, 'restore')) {
+                showToast(`"${snapshot.name}" was not restored, because the board as it is could not be saved first.`, { type: 'error' });
+                return;
+            }
+            await autoSnapshots.prune(this);
+
+            // Snapshots saved before tag colors were kept leave the current colors alone
+            this.replaceContent(
+                snapshot.data.pins.map(entry => entry[1]),
+                snapshot.data.connectors || [],
+                `load snapshot "${snapshot.name}"`,
+                snapshot.data.tagStyles || null
+            );
             this.zoom = snapshot.data.zoom;
             this.panX = snapshot.data.panX;
             this.panY = snapshot.data.panY;
 
             boardRenderer.renderAllPins();
             canvasController.updateTransform();
-            this.saveState();
             this.saveToStorage();
             this.updateTagList();
+            showToast(`Restored "${snapshot.name}". The board as it was is saved as "${backupName}".`);
         }
     }
 
-    deleteSnapshot(index) {
-        const snapshots = this.getSnapshots();
-        snapshots.splice(index, 1);
-        localStorage.setItem('freeboard_snapshots', JSON.stringify(snapshots));
+    // Puts pins back as they are in a snapshot, re-creating deleted ones along with their
+    // snapshot connectors to pins that still exist, in one undo step
+    async restorePins(pins, connectors, label) {
+        await imageLibrary.load(collectImageIds(pins));
+
+        const changes = [];
+        pins.forEach(saved => {
+            const pin = this.pins.get(saved.id);
+            if (!pin) {
+                changes.push({ id: saved.id, before: null, after: cloneValue(saved) });
+                return;
+            }
+            const updates = {};
+            new Set([...Object.keys(pin), ...Object.keys(saved)]).forEach(key => {
+                if (!isSameValue(pin[key], saved[key])) updates[key] = saved[key];
+            });
+            if (Object.keys(updates).length > 0) changes.push(Commands.updateChange(pin, updates));
+        });
+
+        const restored = new Set(pins.map(pin => pin.id));
+        const present = id => this.pins.has(id) || restored.has(id);
+        connectors
+            .filter(connector => !this.connectors.has(connector.id) &&
+                (restored.has(connector.from) || restored.has(connector.to)) &&
+                present(connector.from) && present(connector.to))
+            .forEach(connector => changes.push(Commands.connectorChange(connector.id, null, connector)));
+        if (changes.length === 0) return;
+
+        this.history.push({ label, changes });
+        this.updateUndoRedoButtons();
+        this.applyChanges(changes, 'after');
+    }
+
+    deleteSnapshot(id) {
+        return boardStore.deleteSnapshot(id);
     }
 
     getSnapshots() {
-        const saved = localStorage.getItem('freeboard_snapshots');
-        return saved ? JSON.parse(saved) : [];
+        return boardStore.getSnapshots(this.boardId);
     }
-}
 
-// ===== Pin Factory =====
-class PinFactory {
-    static createTextPin(x, y) {
-        return {
-            id: `pin-${state.nextPinId++}`,
-            type: 'text',
-            x,
-            y,
-            width: 300,
-            height: 200,
-            content: '',
-            tags: [],
-            created: Date.now()
-        };
+    async replaceBoard(board, snapshots) {
+        this.replaceContent(board.pins, board.connectors, 'import', board.tagStyles);
+        this.zoom = board.zoom;
+        this.panX = board.panX;
+        this.panY = board.panY;
+        this.nextPinId = Math.max(board.nextPinId, this.getMaxPinNumber() + 1);
+        // Never reuse connector ids: undoing the import brings the old connectors back
+        this.nextConnectorId = Math.max(this.nextConnectorId, getMaxIdNumber(Array.from(this.connectors.keys()), 'connector') + 1);
+        try {
+            await boardStore.replaceSnapshots(this.boardId, snapshots);
+        } catch (error) {
+            reportStorageError(error);
+        }
+
+        boardRenderer.renderAllPins();
+        canvasController.updateTransform();
+        canvasController.updateZoomDisplay();
+        this.saveToStorage();
+        this.updateTagList();
     }
 
-    static createImagePin(x, y) {
-        return {
-            id: `pin-${state.nextPinId++}`,
-            type: 'image',
-            x,
-            y,
-            width: 300,
-            height: 300,
-            imageUrl: null,
-            imageWidth: 0,
-            imageHeight: 0,
-            tags: [],
-            created: Date.now()
-        };
+    async mergeBoard(board, snapshots) {
+        // Move the counter past both boards' pin-N ids so remapped ids never collide
+        const incomingMax = getMaxIdNumber(board.pins.map(pin => pin.id), 'pin');
+        this.nextPinId = Math.max(this.nextPinId, this.getMaxPinNumber() + 1, incomingMax + 1);
+        const incomingConnectorMax = getMaxIdNumber(board.connectors.map(connector => connector.id), 'connector');
+        this.nextConnectorId = Math.max(this.nextConnectorId, incomingConnectorMax + 1);
+
+        const pinIds = new Map();
+        const merged = board.pins.map(pin => {
+            const id = this.pins.has(pin.id) ? `pin-${this.nextPinId++}` : pin.id;
+            pinIds.set(pin.id, id);
+            return { ...pin, id };
+        });
+        PinFactory.relinkFrames(merged, pinIds);
+        const connectors = board.connectors.map(connector => ({
+            ...connector,
+            id: this.connectors.has(connector.id) ? `connector-${this.nextConnectorId++}` : connector.id,
+            from: pinIds.get(connector.from),
+            to: pinIds.get(connector.to)
+        }));
+        // Tags that already have a color here keep it
+        const tagStyles = board.tagStyles.filter(style => !this.tagStyles.has(style.id));
+        this.addPins(merged, 'import', connectors, tagStyles);
+
+        try {
+            await boardStore.addSnapshots(snapshots.map(snapshot => ({ ...snapshot, boardId: this.boardId })));
+        } catch (error) {
+            reportStorageError(error);
+        }
+
+        boardRenderer.renderAllPins();
+        this.saveToStorage();
+        this.updateTagList();
     }
 
-    static createListPin(x, y) {
-        return {
-            id: `pin-${state.nextPinId++}`,
-            type: 'list',
-            x,
-            y,
-            width: 300,
-            height: 250,
-            items: [],
-            tags: [],
-            created: Date.now()
+    // Swaps every pin and connector on the board as a single undo step, and the tag styles
+    // too unless `tagStyles` is null
+    replaceContent(pins, connectors, label, tagStyles = null) {
+        const oldStyles = tagStyles ? Array.from(this.tagStyles.values()) : [];
+        this.record(Commands.replaceContent(
+            { pins: this.getAllPins(), connectors: this.getAllConnectors(), tagStyles: oldStyles },
+            { pins, connectors, tagStyles: tagStyles || [] },
+            label
+        ));
+        this.pins = new Map(pins.map(pin => [pin.id, pin]));
+        this.connectors = new Map(connectors.map(connector => [connector.id, connector]));
+        if (tagStyles) this.tagStyles = new Map(tagStyles.map(style => [style.id, style]));
+        this.markAllDirty();
+    }
+
+    getMaxPinNumber() {
+        return getMaxIdNumber(Array.from(this.pins.keys()), 'pin');
+    }
+
+    // Sync: one side of history changes becomes stamped operations for the listeners
+    publish(changes, side) {
+        const other = side === 'before' ? 'after' : 'before';
+        const ordered = side === 'before' ? changes.slice().reverse() : changes;
+
+        const ops = ordered.map(change => {
+            const op = { kind: change.kind || 'pin', id: change.id, stamp: boardSync.tick() };
+            if (change.of) op.of = change.of;
+            if (change[side] === null) {
+                op.deleted = true;
+            } else {
+                op.fields = cloneValue(change[side]);
+                if (change[other] === null) op.created = true;
+            }
+            this.stampOp(this.getStamps(op.kind, op.id), op);
+            return op;
+        });
+        if (ops.length === 0) return;
+
+        const message = {
+            type: 'ops',
+            boardId: this.boardId,
+            nextPinId: this.nextPinId,
+            nextConnectorId: this.nextConnectorId,
+            ops
         };
+        this.listeners.forEach(listener => listener(message));
     }
-}
 
-// ===== Board Renderer =====
-class BoardRenderer {
-    constructor() {
-        this.canvas = document.getElementById('canvas');
-        this.selectedPin = null;
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
     }
 
-    renderAllPins() {
-        this.canvas.innerHTML = '';
-        const pins = state.getFilteredPins();
-        pins.forEach(pin => this.renderPin(pin));
+    // The whole board as creation operations carrying every field's stamp, plus the deletions
+    // this tab knows about, for a collaborator who has just joined or reconnected
+    getStateMessage() {
+        const ops = [];
+        const addItems = (kind, items) => items.forEach(item => {
+            const stamps = this.getStamps(kind, item.id);
+            ops.push({
+                kind,
+                id: item.id,
+                created: true,
+                stamp: stamps.exists || boardSync.baseStamp(),
+                fields: cloneValue(item),
+                fieldStamps: { ...stamps.fields }
+            });
+        });
+        addItems('pin', this.getAllPins());
+        addItems('connector', this.getAllConnectors());
+        addItems('tag', Array.from(this.tagStyles.values()));
+
+        this.stamps.forEach((stamps, key) => {
+            if (stamps.alive || !stamps.exists) return;
+            const separator = key.indexOf(':');
+            ops.push({ kind: key.slice(0, separator), id: key.slice(separator + 1), deleted: true, stamp: stamps.exists });
+        });
+
+        return {
+            type: 'state',
+            boardId: this.boardId,
+            nextPinId: this.nextPinId,
+            nextConnectorId: this.nextConnectorId,
+            ops
+        };
     }
 
-    renderPin(pin) {
-        const existingElement = document.getElementById(pin.id);
-        if (existingElement) {
-            existingElement.remove();
+    getStamps(kind, id) {
+        const key = `${kind}:${id}`;
+        if (!this.stamps.has(key)) {
+            this.stamps.set(key, { fields: {}, exists: null, alive: true, created: null });
         }
+        return this.stamps.get(key);
+    }
 
-        const pinElement = document.createElement('div');
-        pinElement.className = 'pin';
-        pinElement.id = pin.id;
-        pinElement.style.left = `${pin.x}px`;
-        pinElement.style.top = `${pin.y}px`;
-        pinElement.style.width = `${pin.width}px`;
-        pinElement.style.height = `${pin.height}px`;
+    // Records the op's stamp on everything it wins; returns the fields it won. Anything
+    // without a stamp (loaded from storage, never edited since) counts as [0, clientId], so
+    // two clients merging their full states still break ties the same way.
+    stampOp(stamps, op) {
+        if ((op.created || op.deleted) && BoardSync.compare(op.stamp, stamps.exists || boardSync.baseStamp()) > 0) {
+            stamps.exists = op.stamp;
+            stamps.alive = !op.deleted;
+            if (op.created) stamps.created = op.stamp;
+        }
 
-        // Header
-        const header = this.createPinHeader(pin);
-        pinElement.appendChild(header);
+        const won = {};
+        Object.keys(op.fields || {}).forEach(key => {
+            const stamp = (op.fieldStamps && op.fieldStamps[key]) || op.stamp;
+            if (BoardSync.compare(stamp, stamps.fields[key] || boardSync.baseStamp()) > 0) {
+                stamps.fields[key] = stamp;
+                won[key] = op.fields[key];
+            }
+        });
+        return won;
+    }
 
-        // Content
-        const content = this.createPinContent(pin);
-        pinElement.appendChild(content);
+    // Merges operations from another tab or collaborator. Each field keeps the value with the
+    // highest stamp and deletion wins over edits it has not seen, so everyone converges on the
+    // same board whatever order the operations arrive in. Returns the ids of the pins that changed.
+    applyRemote(message) {
+        const pinIds = new Set();
+        this.lastChange = Date.now();
+
+        message.ops.forEach(op => {
+            const items = this.getItems(op.kind);
+            const stamps = this.getStamps(op.kind, op.id);
+
+            // Two tabs created the same id at once: the later creation keeps it, and the
+            // tab that made the other one moves it to a fresh id. A full state describes
+            // items the receiver may already have, so it is always merged into them. Tags are
+            // named by their id, so a tag's later creation simply wins.
+            if (message.type === 'ops' && op.created && items.has(op.id) && BoardSync.compare(op.stamp, stamps.created) !== 0) {
+                if (BoardSync.compare(op.stamp, stamps.created) < 0) return;
+                if (op.kind !== 'tag' && stamps.created && stamps.created[1] === boardSync.clientId) {
+                    this.renameItem(op.kind, op.id, pinIds);
+                }
+                items.delete(op.id);
+                this.stamps.delete(`${op.kind}:${op.id}`);
+                this.applyRemote({ type: message.type, ops: [op] }).forEach(id => pinIds.add(id));
+                return;
+            }
 
-        // Resize handle
-        const resizeHandle = document.createElement('div');
-        resizeHandle.className = 'resize-handle';
-        pinElement.appendChild(resizeHandle);
+            // An edit made for another tab's item that has since lost its id is dropped
+            if (op.of && stamps.created && BoardSync.compare(op.of, stamps.created) !== 0) return;
+
+            const won = this.stampOp(stamps, op);
+            const item = items.get(op.id);
+            if (!stamps.alive) {
+                items.delete(op.id);
+            } else if (!item && op.created) {
+                items.set(op.id, cloneValue(op.fields));
+            } else if (item) {
+                Object.assign(item, cloneValue(won));
+            }
 
-        this.canvas.appendChild(pinElement);
+            if (op.kind === 'pin') {
+                // Pins may come from a tab or person with an older version of their type
+                if (items.has(op.id)) items.set(op.id, PinTypes.migrate(items.get(op.id)));
+                // Every tab writes the merged pin, so the database ends up matching too
+                this.dirtyPins.add(op.id);
+                pinIds.add(op.id);
+            } else if (op.kind === 'tag') {
+                this.getTaggedPins(op.id).forEach(pin => pinIds.add(pin.id));
+            }
+        });
 
-        // Attach event listeners
-        this.attachPinEvents(pinElement, pin);
+        if (message.nextPinId) {
+            this.nextPinId = Math.max(this.nextPinId, message.nextPinId, this.getMaxPinNumber() + 1);
+        }
+        if (message.nextConnectorId) {
+            this.nextConnectorId = Math.max(this.nextConnectorId, message.nextConnectorId);
+        }
+        if (pinIds.size > 0 || message.ops.some(op => op.kind !== 'pin')) {
+            this.saveToStorage();
+        }
+        return pinIds;
     }
 
-    createPinHeader(pin) {
-        const header = document.createElement('div');
-        header.className = 'pin-header';
+    getItems(kind) {
+        if (kind === 'connector') return this.connectors;
+        return kind === 'tag' ? this.tagStyles : this.pins;
+    }
 
-        // Tags
-        const tagsContainer = document.createElement('div');
-        tagsContainer.className = 'pin-tags';
+    // The pins to re-render after `changes`: those changed, and those carrying a restyled tag
+    getChangedPinIds(changes) {
+        const ids = new Set();
+        changes.forEach(change => {
+            if (!change.kind) ids.add(change.id);
+            if (change.kind === 'tag') this.getTaggedPins(change.id).forEach(pin => ids.add(pin.id));
+        });
+        return Array.from(ids);
+    }
 
-        if (pin.tags && pin.tags.length > 0) {
-            pin.tags.forEach(tag => {
-                const tagElement = document.createElement('span');
-                tagElement.className = 'pin-tag';
-                tagElement.textContent = tag;
-                tagElement.onclick = (e) => {
-                    e.stopPropagation();
-                    this.removeTag(pin.id, tag);
-                };
-                tagsContainer.appendChild(tagElement);
+    // Moves a pin or connector this tab created to a fresh id, everywhere it is referenced,
+    // and tells the other tabs about the new one
+    renameItem(kind, id, pinIds) {
+        const items = this.getItems(kind);
+        const item = items.get(id);
+        const newId = kind === 'connector' ? `connector-${this.nextConnectorId++}` : `pin-${this.nextPinId++}`;
+
+        items.delete(id);
+        item.id = newId;
+        items.set(newId, item);
+        this.history.renameId(kind, id, newId);
+
+        const changes = [kind === 'connector'
+            ? Commands.connectorChange(newId, null, item)
+            : { id: newId, before: null, after: cloneValue(item) }];
+        if (kind === 'pin') {
+            this.dirtyPins.add(newId);
+            pinIds.add(newId);
+            // The connectors and frame children may have been created alongside this pin and be
+            // about to lose their ids too, so each change names the creation it was made for
+            this.getConnectorsForPins([id]).forEach(connector => {
+                const updates = {};
+                if (connector.from === id) updates.from = newId;
+                if (connector.to === id) updates.to = newId;
+                changes.push({
+                    ...Commands.connectorChange(connector.id, { ...connector }, { ...connector, ...updates }),
+                    of: this.getStamps('connector', connector.id).created
+                });
+                Object.assign(connector, updates);
+            });
+            this.getFrameChildren(id).forEach(child => {
+                changes.push({
+                    id: child.id,
+                    before: { frameId: id },
+                    after: { frameId: newId },
+                    of: this.getStamps('pin', child.id).created
+                });
+                child.frameId = newId;
+                this.dirtyPins.add(child.id);
+                pinIds.add(child.id);
             });
+            // Boards open in the background merge too, but only the shown board has a selection
+            if (this === state && boardRenderer.selectedPins.delete(id)) boardRenderer.selectedPins.add(newId);
         }
+        this.publish(changes, 'after');
+    }
+}
 
-        // Add tag button
-        const addTagBtn = document.createElement('button');
-        addTagBtn.className = 'pin-btn';
-        addTagBtn.innerHTML = `
-            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <line x1="12" y1="5" x2="12" y2="19"/>
-                <line x1="5" y1="12" x2="19" y2="12"/>
-            </svg>
-        `;
-        addTagBtn.onclick = (e) => {
-            e.stopPropagation();
-            this.addTag(pin.id);
-        };
-        tagsContainer.appendChild(addTagBtn);
+// ===== History =====
+// Undo/redo keeps reversible commands rather than copies of the board. A command is
+// { label, changes: [{ id, before, after }] }, where `before`/`after` hold only the
+// pin fields that changed, a whole pin, or null when the pin does not exist on that side.
+class History {
+    static MAX_STEPS = 500;
+    static COALESCE_WINDOW = 1000;
 
-        header.appendChild(tagsContainer);
+    constructor() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
 
-        // Actions
-        const actions = document.createElement('div');
-        actions.className = 'pin-actions';
+    push(command) {
+        const now = Date.now();
+        const last = this.undoStack[this.undoStack.length - 1];
 
-        const deleteBtn = document.createElement('button');
-        deleteBtn.className = 'pin-btn delete';
-        deleteBtn.innerHTML = `
-            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <polyline points="3 6 5 6 21 6"/>
-                <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
-            </svg>
-        `;
-        deleteBtn.onclick = (e) => {
-            e.stopPropagation();
-            this.deletePin(pin.id);
-        };
+        // Keystrokes arriving close together extend the previous step instead of adding one.
+        // Equal keys mean the same changes in the same order.
+        if (command.coalesceKey && last && last.coalesceKey === command.coalesceKey &&
+            this.redoStack.length === 0 && now - last.time < History.COALESCE_WINDOW) {
+            command.changes.forEach((change, i) => {
+                last.changes[i].after = change.after;
+            });
+            last.time = now;
+            return;
+        }
 
-        actions.appendChild(deleteBtn);
-        header.appendChild(actions);
+        command.time = now;
+        this.undoStack.push(command);
+        this.redoStack = [];
+        if (this.undoStack.length > History.MAX_STEPS) {
+            this.undoStack.shift();
+        }
+    }
 
-        return header;
+    undo() {
+        const command = this.undoStack.pop();
+        if (command) this.redoStack.push(command);
+        return command;
     }
 
-    createPinContent(pin) {
+    redo() {
+        const command = this.redoStack.pop();
+        if (command) this.undoStack.push(command);
+        return command;
+    }
+
+    peekUndo() {
+        return this.undoStack[this.undoStack.length - 1];
+    }
+
+    peekRedo() {
+        return this.redoStack[this.redoStack.length - 1];
+    }
+
+    // Points every recorded change at a pin or connector's new id
+    renameId(kind, oldId, newId) {
+        this.undoStack.concat(this.redoStack).forEach(command => command.changes.forEach(change => {
+            const changeKind = change.kind || 'pin';
+            const values = [change.before, change.after].filter(Boolean);
+            if (changeKind === kind && change.id === oldId) {
+                change.id = newId;
+                values.forEach(value => {
+                    if (value.id === oldId) value.id = newId;
+                });
+            }
+            if (kind === 'pin' && changeKind === 'connector') {
+                values.forEach(value => {
+                    if (value.from === oldId) value.from = newId;
+                    if (value.to === oldId) value.to = newId;
+                });
+            }
+            if (kind === 'pin' && changeKind === 'pin') {
+                values.forEach(value => {
+                    if (value.frameId === oldId) value.frameId = newId;
+                });
+            }
+        }));
+    }
+}
+
+class Commands {
+    static createPin(pin) {
+        return {
+            label: 'add pin',
+            changes: [{ id: pin.id, before: null, after: cloneValue(pin) }]
+        };
+    }
+
+    static updatePin(pin, updates, coalesce) {
+        const keys = Object.keys(updates);
+        return {
+            label: Commands.describeUpdate(keys),
+            coalesceKey: coalesce ? `${pin.id}:${keys.sort().join(',')}` : null,
+            changes: [Commands.updateChange(pin, updates)]
+        };
+    }
+
+    // `entries` is a list of [pin, updates] pairs
+    static updatePins(entries, coalesce = false, label = null) {
+        const keys = new Set();
+        entries.forEach(([, updates]) => Object.keys(updates).forEach(key => keys.add(key)));
+        const ids = entries.map(([pin]) => pin.id).join('+');
+        return {
+            label: label || Commands.groupLabel(Commands.describeUpdate(Array.from(keys)), entries.length),
+            coalesceKey: coalesce ? `${ids}:${Array.from(keys).sort().join(',')}` : null,
+            changes: entries.map(([pin, updates]) => Commands.updateChange(pin, updates))
+        };
+    }
+
+    static deletePins(pins, connectors, label = Commands.groupLabel('delete pin', pins.length)) {
+        return {
+            label,
+            changes: pins.map(pin => ({ id: pin.id, before: cloneValue(pin), after: null }))
+                .concat(connectors.map(connector => Commands.connectorChange(connector.id, connector, null)))
+        };
+    }
+
+    static updateChange(pin, updates) {
+        const before = {};
+        Object.keys(updates).forEach(key => {
+            before[key] = cloneValue(pin[key]);
+        });
+        return { id: pin.id, before, after: cloneValue(updates) };
+    }
+
+    static groupLabel(action, count) {
+        return count === 1 ? action : `${action} (${count} pins)`;
+    }
+
+    // `tagStyles` are styles for tags that have none yet
+    static addPins(pins, label, connectors = [], tagStyles = []) {
+        return {
+            label,
+            changes: pins.map(pin => ({ id: pin.id, before: null, after: cloneValue(pin) }))
+                .concat(connectors.map(connector => Commands.connectorChange(connector.id, null, connector)))
+                .concat(tagStyles.map(style => Commands.tagChange(style.id, null, style)))
+        };
+    }
+
+    // `before` and `after` are { pins, connectors, tagStyles }
+    static replaceContent(before, after, label) {
+        return {
+            label,
+            changes: before.pins.map(pin => ({ id: pin.id, before: cloneValue(pin), after: null }))
+                .concat(before.connectors.map(connector => Commands.connectorChange(connector.id, connector, null)))
+                .concat(before.tagStyles.map(style => Commands.tagChange(style.id, style, null)))
+                .concat(after.pins.map(pin => ({ id: pin.id, before: null, after: cloneValue(pin) })))
+                .concat(after.connectors.map(connector => Commands.connectorChange(connector.id, null, connector)))
+                .concat(after.tagStyles.map(style => Commands.tagChange(style.id, null, style)))
+        };
+    }
+
+    // Connector changes carry `kind: 'connector'`; changes without a kind are pin changes
+    static createConnector(connector) {
+        return {
+            label: 'add connector',
+            changes: [Commands.connectorChange(connector.id, null, connector)]
+        };
+    }
+
+    static updateConnector(connector, updates) {
+        return {
+            label: 'edit connector',
+            changes: [{ kind: 'connector', ...Commands.updateChange(connector, updates) }]
+        };
+    }
+
+    static deleteConnector(connector) {
+        return {
+            label: 'delete connector',
+            changes: [Commands.connectorChange(connector.id, connector, null)]
+        };
+    }
+
+    static connectorChange(id, before, after) {
+        return { kind: 'connector', id, before: cloneValue(before), after: cloneValue(after) };
+    }
+
+    // Tag changes carry `kind: 'tag'` and the tag's whole style, { id: name, color }, or null
+    static tagChange(id, before, after) {
+        return { kind: 'tag', id, before: cloneValue(before), after: cloneValue(after) };
+    }
+
+    static describeUpdate(keys) {
+        const only = (...allowed) => keys.every(key => allowed.includes(key));
+
+        if (only('x', 'y', 'frameId')) return 'move';
+        if (only('x', 'y', 'width', 'height')) return 'resize';
+        if (keys.includes('content')) return 'edit';
+        if (keys.includes('tags')) return 'tag change';
+        if (keys.includes('items')) return 'list change';
+        if (keys.includes('imageId')) return 'image change';
+        if (keys.includes('strokes')) return 'drawing';
+        if (keys.includes('markdown')) return 'format change';
+        if (keys.includes('fit')) return 'fit change';
+        if (keys.includes('z')) return 'reorder';
+        if (keys.includes('locked')) return 'lock change';
+        if (keys.includes('title')) return 'rename';
+        if (keys.includes('collapsed')) return 'collapse';
+        return 'edit';
+    }
+}
+
+function cloneValue(value) {
+    return value === undefined ? undefined : structuredClone(value);
+}
+
+// Deep equality for pin field values, which are plain JSON-like data
+function isSameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function collectImageIds(pins) {
+    return pins.filter(pin => pin.type === 'image' && pin.imageId).map(pin => pin.imageId);
+}
+
+// Highest N among ids of the form `${prefix}-N`, or 0
+function getMaxIdNumber(ids, prefix) {
+    const pattern = new RegExp(`^${prefix}-(\\d+)$`);
+    return ids.reduce((max, id) => {
+        const match = pattern.exec(id);
+        return match ? Math.max(max, parseInt(match[1], 10)) : max;
+    }, 0);
+}
+
+// ===== Board Manager =====
+class BoardManager {
+    constructor(store) {
+        this.store = store;
+        this.boards = [];
+        // Open boards stay cached so switching back keeps their undo history
+        this.openBoards = new Map();
+    }
+
+    async init() {
+        this.boards = (await this.store.getBoards()).map(board => ({
+            id: board.id,
+            name: board.name,
+            created: board.created
+        }));
+
+        if (this.boards.length === 0) {
+            await this.createBoard('My Board');
+        }
+    }
+
+    getBoards() {
+        return this.boards;
+    }
+
+    getBoard(id) {
+        return this.boards.find(board => board.id === id);
+    }
+
+    async createBoard(name) {
+        const board = {
+            id: createBoardId(),
+            name,
+            created: Date.now()
+        };
+        await this.store.putBoard({ ...board, zoom: 1, panX: 0, panY: 0, nextPinId: 1, connectors: [], nextConnectorId: 1 });
+        this.boards.push(board);
+        return board;
+    }
+
+    async renameBoard(id, name) {
+        const board = this.getBoard(id);
+        if (board) {
+            board.name = name;
+            await this.store.updateBoard(id, { name });
+        }
+    }
+
+    async duplicateBoard(id) {
+        const source = this.getBoard(id);
+        if (!source) return null;
+
+        // Unsaved changes in an open board have to land before it is copied
+        if (this.openBoards.has(id)) {
+            await this.openBoards.get(id).flush();
+        }
+
+        const copy = {
+            id: createBoardId(),
+            name: `${source.name} (copy)`,
+            created: Date.now()
+        };
+        await this.store.copyBoard(id, copy);
+        this.boards.push(copy);
+        return copy;
+    }
+
+    async deleteBoard(id) {
+        if (this.openBoards.has(id)) {
+            this.openBoards.get(id).cancelSave();
+            this.openBoards.delete(id);
+        }
+        await this.store.deleteBoard(id);
+        this.boards = this.boards.filter(board => board.id !== id);
+
+        if (this.boards.length === 0) {
+            await this.createBoard('My Board');
+        }
+    }
+
+    async openBoard(id) {
+        if (!this.getBoard(id)) {
+            id = this.boards[0].id;
+        }
+        if (!this.openBoards.has(id)) {
+            const boardState = await BoardState.load(id);
+            boardState.subscribe(message => boardSync.send(message));
+            this.openBoards.set(id, boardState);
+        }
+        localStorage.setItem('freeboard_last_board', id);
+        return this.openBoards.get(id);
+    }
+
+    getLastBoardId() {
+        return localStorage.getItem('freeboard_last_board');
+    }
+
+    flushAll() {
+        this.openBoards.forEach(board => {
+            if (board.saveTimer) board.flush();
+        });
+    }
+}
+
+function createBoardId() {
+    return `board-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// ===== Sync =====
+// Keeps a board in step with other tabs and, through a relay, other people. BoardState turns
+// each change into operations on single pins, connectors or tag styles, stamped [counter, clientId]; this
+// class hands them to every transport and merges what comes back. A transport is anything with
+// send(message) and close() that passes incoming messages to receive(message, transport).
+const SYNC_KINDS = ['pin', 'connector', 'tag'];
+
+class BoardSync {
+    static SEEN_LIMIT = 1000;
+
+    constructor() {
+        this.clientId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        this.clock = 0;
+        this.sequence = 0;
+        this.transports = new Set();
+        // Ids of messages already handled: one can arrive twice when a tab passes on what it
+        // got from the relay to tabs that are connected to the relay themselves
+        this.seen = new Set();
+    }
+
+    addTransport(transport) {
+        this.transports.add(transport);
+    }
+
+    removeTransport(transport) {
+        this.transports.delete(transport);
+        transport.close();
+    }
+
+    // A Lamport counter that never falls behind the wall clock, so a tab opened later
+    // still outranks edits made before it loaded
+    tick() {
+        this.clock = Math.max(this.clock + 1, Date.now());
+        return [this.clock, this.clientId];
+    }
+
+    // The stamp of anything this client has not changed since it was loaded
+    baseStamp() {
+        return [0, this.clientId];
+    }
+
+    // Orders stamps by counter, then client id; a missing stamp sorts first
+    static compare(a, b) {
+        if (!a || !b) return (a ? 1 : 0) - (b ? 1 : 0);
+        if (a[0] !== b[0]) return a[0] - b[0];
+        return a[1] === b[1] ? 0 : (a[1] < b[1] ? -1 : 1);
+    }
+
+    // Sends to every transport except the one a passed-on message came in through
+    send(message, except = null) {
+        const outgoing = this.prepare(message);
+        this.transports.forEach(transport => {
+            if (transport !== except) this.deliver(transport, outgoing);
+        });
+    }
+
+    sendTo(transport, message) {
+        this.deliver(transport, this.prepare(message));
+    }
+
+    prepare(message) {
+        if (message.id) return message;
+        const outgoing = { ...message, clientId: this.clientId, id: `${this.clientId}:${++this.sequence}` };
+        this.remember(outgoing.id);
+        return outgoing;
+    }
+
+    deliver(transport, message) {
+        try {
+            transport.send(message);
+        } catch (error) {
+            console.error('Failed to send changes:', error);
+        }
+    }
+
+    remember(id) {
+        this.seen.add(id);
+        if (this.seen.size > BoardSync.SEEN_LIMIT) {
+            this.seen.delete(this.seen.values().next().value);
+        }
+    }
+
+    async receive(message, transport) {
+        if (!message || message.clientId === this.clientId) return;
+        if (message.id) {
+            if (this.seen.has(message.id)) return;
+            this.remember(message.id);
+        }
+
+        switch (message.type) {
+            case 'ops':
+                if (!BoardSync.isValidOps(message.ops)) return;
+                this.send(message, transport);
+                await this.merge(message, transport);
+                break;
+            case 'state':
+                if (!BoardSync.isValidOps(message.ops)) return;
+                await this.merge(message, transport);
+                break;
+            case 'hello': {
+                const boardState = boardManager.openBoards.get(message.boardId);
+                if (boardState) this.sendTo(transport, boardState.getStateMessage());
+                collaboration.receive(message);
+                break;
+            }
+            case 'image-request':
+                if (Array.isArray(message.ids)) await this.sendImages(message, transport);
+                break;
+            case 'image':
+                await this.receiveImage(message, transport);
+                break;
+            default:
+                collaboration.receive(message);
+        }
+    }
+
+    static isValidOps(ops) {
+        return Array.isArray(ops) && ops.every(op => op &&
+            SYNC_KINDS.includes(op.kind) &&
+            typeof op.id === 'string' &&
+            Array.isArray(op.stamp) && isFiniteNumber(op.stamp[0]) && typeof op.stamp[1] === 'string' &&
+            (op.deleted || (op.fields && typeof op.fields === 'object')));
+    }
+
+    async merge(message, transport) {
+        message.ops.forEach(op => {
+            this.clock = Math.max(this.clock, op.stamp[0]);
+        });
+        const boardState = boardManager.openBoards.get(message.boardId);
+        if (!boardState) return;
+
+        const pinIds = boardState.applyRemote(message);
+
+        const imageIds = collectImageIds(Array.from(pinIds).map(id => boardState.getPin(id)).filter(Boolean));
+        if (imageIds.length > 0) {
+            try {
+                await imageLibrary.load(imageIds);
+            } catch (error) {
+                console.error('Failed to load synced images:', error);
+            }
+            // Images live outside the board; ask whoever sent the pins for the ones we lack
+            const missing = imageIds.filter(id => !imageLibrary.has(id));
+            if (missing.length > 0) {
+                this.sendTo(transport, { type: 'image-request', boardId: message.boardId, ids: missing });
+            }
+        }
+        if (boardState !== state) return;
+
+        boardRenderer.refreshPins(Array.from(pinIds));
+        boardState.updateTagList();
+    }
+
+    // Only images that pins on the board use are sent, so peers can't fetch other boards' images
+    async sendImages(message, transport) {
+        const boardState = boardManager.openBoards.get(message.boardId);
+        if (!boardState) return;
+        const used = new Set(collectImageIds(boardState.getAllPins()));
+        const ids = message.ids.filter(id => typeof id === 'string' && used.has(id));
+        try {
+            await imageLibrary.load(ids);
+        } catch (error) {
+            console.error('Failed to load requested images:', error);
+        }
+        for (const imageId of ids) {
+            const dataUrl = await imageLibrary.getDataUrl(imageId);
+            if (dataUrl) {
+                this.sendTo(transport, { type: 'image', boardId: message.boardId, imageId, dataUrl });
+            }
+        }
+    }
+
+    async receiveImage(message, transport) {
+        if (typeof message.imageId !== 'string' || typeof message.dataUrl !== 'string' ||
+            !message.dataUrl.startsWith('data:image/')) {
+            return;
+        }
+        // Tabs behind this one may be waiting for the same image
+        this.send(message, transport);
+        if (imageLibrary.has(message.imageId)) return;
+
+        try {
+            await imageLibrary.put(message.imageId, dataUrlToBlob(message.dataUrl));
+        } catch (error) {
+            console.error('Failed to store synced image:', error);
+            return;
+        }
+        if (state) {
+            boardRenderer.refreshPins(state.getAllPins()
+                .filter(pin => pin.imageId === message.imageId)
+                .map(pin => pin.id));
+        }
+    }
+}
+
+// Other tabs of this browser
+class BroadcastTransport {
+    static CHANNEL = 'freeboard-sync';
+
+    constructor() {
+        this.channel = new BroadcastChannel(BroadcastTransport.CHANNEL);
+        this.channel.onmessage = (e) => boardSync.receive(e.data, this);
+    }
+
+    send(message) {
+        this.channel.postMessage(message);
+    }
+
+    close() {
+        this.channel.close();
+    }
+}
+
+// Other people, through a relay (server/relay.js) that passes every message on to the rest of
+// the room. Only the board that was shared or joined goes over it; the room's copies of that
+// board may have different ids, so incoming messages are pointed at the local one.
+class RelayTransport {
+    static RETRY_DELAYS = [1000, 2000, 5000, 10000, 30000];
+
+    constructor(url, room, boardId, { onOpen, onStatus }) {
+        this.url = url;
+        this.room = room;
+        this.boardId = boardId;
+        this.onOpen = onOpen;
+        this.onStatus = onStatus;
+        this.socket = null;
+        this.retries = 0;
+        this.retryTimer = null;
+        this.closed = false;
+        this.connect();
+    }
+
+    connect() {
+        const url = new URL(this.url);
+        url.searchParams.set('room', this.room);
+        this.onStatus('connecting');
+
+        const socket = new WebSocket(url.href);
+        this.socket = socket;
+        socket.onopen = () => {
+            this.retries = 0;
+            this.onStatus('connected');
+            this.onOpen(this);
+        };
+        socket.onmessage = (e) => {
+            let message;
+            try {
+                message = JSON.parse(e.data);
+            } catch (error) {
+                return;
+            }
+            if (message && typeof message === 'object') {
+                boardSync.receive({ ...message, boardId: this.boardId }, this);
+            }
+        };
+        socket.onclose = () => {
+            if (this.socket !== socket) return;
+            this.socket = null;
+            if (this.closed) return;
+
+            // Changes made while offline go out with the full state once reconnected
+            const delays = RelayTransport.RETRY_DELAYS;
+            this.retryTimer = setTimeout(() => this.connect(), delays[Math.min(this.retries++, delays.length - 1)]);
+            this.onStatus('offline');
+        };
+    }
+
+    isOpen() {
+        return Boolean(this.socket) && this.socket.readyState === WebSocket.OPEN;
+    }
+
+    send(message) {
+        if (message.boardId !== this.boardId || !this.isOpen()) return;
+        this.socket.send(JSON.stringify(message));
+    }
+
+    close() {
+        this.closed = true;
+        clearTimeout(this.retryTimer);
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+        this.onStatus('disconnected');
+    }
+}
+
+// ===== Storage (IndexedDB) =====
+// Object stores:
+//   boards    - { id, name, created, zoom, panX, panY, nextPinId, connectors, nextConnectorId }
+//   pins      - { boardId, id, pin }, keyed by [boardId, id]
+//   images    - { id, blob }; image pins reference these by imageId
+//   snapshots - { id, boardId, name, date, auto, data }, auto-incremented id
+class BoardStore {
+    static DB_NAME = 'freeboard';
+    static DB_VERSION = 1;
+
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(BoardStore.DB_NAME, BoardStore.DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore('boards', { keyPath: 'id' });
+                db.createObjectStore('pins', { keyPath: ['boardId', 'id'] })
+                    .createIndex('boardId', 'boardId');
+                db.createObjectStore('images', { keyPath: 'id' });
+                db.createObjectStore('snapshots', { keyPath: 'id', autoIncrement: true })
+                    .createIndex('boardId', 'boardId');
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Runs `work` in one transaction; resolves with its result once the transaction commits
+    run(storeNames, mode, work) {
+        const transaction = this.db.transaction(storeNames, mode);
+        const complete = new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new DOMException('Transaction aborted', 'AbortError'));
+        });
+        const result = work(transaction);
+        return Promise.all([result, complete]).then(([value]) => value);
+    }
+
+    getBoards() {
+        return this.run('boards', 'readonly', tx => requestToPromise(tx.objectStore('boards').getAll()))
+            .then(boards => boards.sort((a, b) => a.created - b.created));
+    }
+
+    getBoard(id) {
+        return this.run('boards', 'readonly', tx => requestToPromise(tx.objectStore('boards').get(id)));
+    }
+
+    putBoard(board) {
+        return this.run('boards', 'readwrite', tx => {
+            tx.objectStore('boards').put(board);
+        });
+    }
+
+    updateBoard(id, fields) {
+        return this.run('boards', 'readwrite', tx => {
+            const boards = tx.objectStore('boards');
+            const request = boards.get(id);
+            request.onsuccess = () => {
+                if (request.result) boards.put({ ...request.result, ...fields });
+            };
+        });
+    }
+
+    getPins(boardId) {
+        return this.run('pins', 'readonly', tx =>
+            requestToPromise(tx.objectStore('pins').index('boardId').getAll(boardId))
+        ).then(records => records.map(record => record.pin));
+    }
+
+    saveBoardState(boardId, fields, changedPins, deletedIds) {
+        return this.run(['boards', 'pins'], 'readwrite', tx => {
+            const boards = tx.objectStore('boards');
+            const pins = tx.objectStore('pins');
+
+            const request = boards.get(boardId);
+            request.onsuccess = () => {
+                // A board deleted while a save was pending must not come back
+                if (request.result) boards.put({ ...request.result, ...fields });
+            };
+            changedPins.forEach(pin => pins.put({ boardId, id: pin.id, pin }));
+            deletedIds.forEach(id => pins.delete([boardId, id]));
+        });
+    }
+
+    copyBoard(sourceId, board) {
+        return this.run(['boards', 'pins', 'snapshots'], 'readwrite', tx => {
+            const boards = tx.objectStore('boards');
+            const pins = tx.objectStore('pins');
+            const snapshots = tx.objectStore('snapshots');
+
+            const request = boards.get(sourceId);
+            request.onsuccess = () => boards.put({ ...request.result, ...board });
+
+            const pinsRequest = pins.index('boardId').getAll(sourceId);
+            pinsRequest.onsuccess = () => pinsRequest.result.forEach(record =>
+                pins.put({ ...record, boardId: board.id })
+            );
+
+            const snapshotsRequest = snapshots.index('boardId').getAll(sourceId);
+            snapshotsRequest.onsuccess = () => snapshotsRequest.result.forEach(({ id, ...snapshot }) =>
+                snapshots.add({ ...snapshot, boardId: board.id })
+            );
+        });
+    }
+
+    deleteBoard(id) {
+        return this.run(['boards', 'pins', 'snapshots'], 'readwrite', tx => {
+            tx.objectStore('boards').delete(id);
+            ['pins', 'snapshots'].forEach(name => {
+                const request = tx.objectStore(name).index('boardId').openKeyCursor(IDBKeyRange.only(id));
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (cursor) {
+                        tx.objectStore(name).delete(cursor.primaryKey);
+                        cursor.continue();
+                    }
+                };
+            });
+        });
+    }
+
+    getSnapshots(boardId) {
+        return this.run('snapshots', 'readonly', tx =>
+            requestToPromise(tx.objectStore('snapshots').index('boardId').getAll(boardId))
+        );
+    }
+
+    getSnapshot(id) {
+        return this.run('snapshots', 'readonly', tx => requestToPromise(tx.objectStore('snapshots').get(id)));
+    }
+
+    addSnapshots(snapshots) {
+        return this.run('snapshots', 'readwrite', tx => {
+            snapshots.forEach(snapshot => tx.objectStore('snapshots').add(snapshot));
+        });
+    }
+
+    replaceSnapshots(boardId, snapshots) {
+        return this.run('snapshots', 'readwrite', tx => {
+            const store = tx.objectStore('snapshots');
+            const request = store.index('boardId').getAllKeys(boardId);
+            request.onsuccess = () => {
+                request.result.forEach(key => store.delete(key));
+                snapshots.forEach(snapshot => store.add({ ...snapshot, boardId }));
+            };
+        });
+    }
+
+    deleteSnapshot(id) {
+        return this.deleteSnapshots([id]);
+    }
+
+    deleteSnapshots(ids) {
+        return this.run('snapshots', 'readwrite', tx => {
+            ids.forEach(id => tx.objectStore('snapshots').delete(id));
+        });
+    }
+
+    putImage(id, blob) {
+        return this.run('images', 'readwrite', tx => {
+            tx.objectStore('images').put({ id, blob });
+        });
+    }
+
+    getImages(ids) {
+        return this.run('images', 'readonly', tx =>
+            Promise.all(ids.map(id => requestToPromise(tx.objectStore('images').get(id))))
+        ).then(records => records.filter(Boolean));
+    }
+
+    // Deletes image blobs that no pin or snapshot refers to any more; resolves to their ids
+    collectGarbage() {
+        const deleted = [];
+        return this.run(['pins', 'snapshots', 'images'], 'readwrite', tx => {
+            const used = new Set();
+            const pinsRequest = tx.objectStore('pins').getAll();
+            const snapshotsRequest = tx.objectStore('snapshots').getAll();
+
+            pinsRequest.onsuccess = () => {
+                collectImageIds(pinsRequest.result.map(record => record.pin)).forEach(id => used.add(id));
+            };
+            snapshotsRequest.onsuccess = () => {
+                snapshotsRequest.result.forEach(snapshot => {
+                    collectImageIds(snapshot.data.pins.map(entry => entry[1])).forEach(id => used.add(id));
+                });
+
+                const images = tx.objectStore('images');
+                const keysRequest = images.getAllKeys();
+                keysRequest.onsuccess = () => {
+                    keysRequest.result.filter(id => !used.has(id)).forEach(id => {
+                        images.delete(id);
+                        deleted.push(id);
+                    });
+                };
+            };
+        }).then(() => deleted);
+    }
+
+    // Moves boards saved in localStorage by earlier versions into the database, then clears them
+    async migrateFromLocalStorage() {
+        const legacy = readLegacyBoards();
+        if (legacy.length === 0) return;
+
+        // Data URLs become blobs; identical images (e.g. repeated in snapshots) share one blob
+        const imageIds = new Map();
+        const images = [];
+        const convertPin = (pin) => {
+            if (pin.type !== 'image') return pin;
+            const { imageUrl, ...rest } = pin;
+            if (!imageUrl) return { ...rest, imageId: null };
+            if (!imageIds.has(imageUrl)) {
+                const id = createImageId();
+                imageIds.set(imageUrl, id);
+                images.push({ id, blob: dataUrlToBlob(imageUrl) });
+            }
+            return { ...rest, imageId: imageIds.get(imageUrl) };
+        };
+
+        await this.run(['boards', 'pins', 'images', 'snapshots'], 'readwrite', tx => {
+            legacy.forEach(({ board, data, snapshots }) => {
+                tx.objectStore('boards').put({
+                    ...board,
+                    zoom: data.zoom || 1,
+                    panX: data.panX || 0,
+                    panY: data.panY || 0,
+                    nextPinId: data.nextPinId || 1
+                });
+                (data.pins || []).forEach(([id, pin]) => {
+                    tx.objectStore('pins').put({ boardId: board.id, id, pin: convertPin(pin) });
+                });
+                snapshots.forEach(snapshot => {
+                    tx.objectStore('snapshots').add({
+                        boardId: board.id,
+                        name: snapshot.name,
+                        date: snapshot.date,
+                        data: {
+                            ...snapshot.data,
+                            pins: snapshot.data.pins.map(([id, pin]) => [id, convertPin(pin)])
+                        }
+                    });
+                });
+            });
+            images.forEach(image => tx.objectStore('images').put(image));
+        });
+
+        legacy.forEach(({ board }) => {
+            localStorage.removeItem(`freeboard_board_${board.id}`);
+            localStorage.removeItem(`freeboard_snapshots_${board.id}`);
+        });
+        ['freeboard_boards', 'freeboard_state', 'freeboard_snapshots'].forEach(key => localStorage.removeItem(key));
+    }
+}
+
+// Boards from the localStorage era: a `freeboard_boards` index with per-board keys,
+// or before that a single unscoped `freeboard_state`/`freeboard_snapshots` pair
+function readLegacyBoards() {
+    const parse = (key, fallback) => {
+        const saved = localStorage.getItem(key);
+        try {
+            return saved ? JSON.parse(saved) : fallback;
+        } catch (e) {
+            console.error(`Failed to read ${key}:`, e);
+            return fallback;
+        }
+    };
+
+    const index = parse('freeboard_boards', null);
+    if (index) {
+        return index.map(board => ({
+            board,
+            data: parse(`freeboard_board_${board.id}`, {}),
+            snapshots: parse(`freeboard_snapshots_${board.id}`, [])
+        }));
+    }
+
+    if (localStorage.getItem('freeboard_state') === null && localStorage.getItem('freeboard_snapshots') === null) {
+        return [];
+    }
+    return [{
+        board: { id: createBoardId(), name: 'My Board', created: Date.now() },
+        data: parse('freeboard_state', {}),
+        snapshots: parse('freeboard_snapshots', [])
+    }];
+}
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function createImageId() {
+    return `img-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function dataUrlToBlob(dataUrl) {
+    const [header, payload] = dataUrl.split(',');
+    const type = header.slice(5).split(';')[0];
+    if (!header.includes(';base64')) {
+        return new Blob([decodeURIComponent(payload)], { type });
+    }
+    const binary = atob(payload);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type });
+}
+
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+// ===== Image Library =====
+// Keeps image blobs loaded for the open boards and hands out object URLs for rendering
+class ImageLibrary {
+    constructor(store) {
+        this.store = store;
+        this.blobs = new Map();
+        this.urls = new Map();
+        this.settings = ImageProcessor.loadSettings();
+    }
+
+    updateSettings(settings) {
+        this.settings = settings;
+        ImageProcessor.saveSettings(settings);
+    }
+
+    async load(ids) {
+        const missing = ids.filter(id => !this.blobs.has(id));
+        if (missing.length === 0) return;
+
+        const records = await this.store.getImages(missing);
+        records.forEach(record => this.cache(record.id, record.blob));
+    }
+
+    // An image cached again (e.g. loaded twice at once) replaces its old object URL
+    cache(id, blob) {
+        if (this.urls.has(id)) URL.revokeObjectURL(this.urls.get(id));
+        this.blobs.set(id, blob);
+        this.urls.set(id, URL.createObjectURL(blob));
+    }
+
+    // Forgets images and releases their object URLs
+    evict(ids) {
+        ids.forEach(id => {
+            if (this.urls.has(id)) URL.revokeObjectURL(this.urls.get(id));
+            this.blobs.delete(id);
+            this.urls.delete(id);
+        });
+    }
+
+    // Deletes the stored images nothing refers to any more, and forgets them here too
+    async collectGarbage() {
+        this.evict(await this.store.collectGarbage());
+    }
+
+    has(id) {
+        return this.blobs.has(id);
+    }
+
+    async add(blob) {
+        const id = createImageId();
+        await this.put(id, blob);
+        return id;
+    }
+
+    async put(id, blob) {
+        await this.store.putImage(id, blob);
+        this.cache(id, blob);
+    }
+
+    // Scales down and stores an image file; resolves to { imageId, width, height }, or null
+    // if it isn't an image
+    async addFile(file) {
+        const image = await ImageProcessor.prepare(file, this.settings);
+        if (!image) return null;
+        return { imageId: await this.add(image.blob), width: image.width, height: image.height };
+    }
+
+    // Stores a cropped and/or rotated copy of an image; see ImageProcessor.transform
+    async transform(id, options) {
+        await this.load([id]);
+        const blob = this.blobs.get(id);
+        const image = blob ? await ImageProcessor.transform(blob, options, this.settings) : null;
+        if (!image) return null;
+        return { imageId: await this.add(image.blob), width: image.width, height: image.height };
+    }
+
+    getUrl(id) {
+        return this.urls.get(id) || '';
+    }
+
+    getDataUrl(id) {
+        const blob = this.blobs.get(id);
+        return blob ? blobToDataUrl(blob) : Promise.resolve(null);
+    }
+}
+
+// ===== Image Processing =====
+// Images are scaled down and re-encoded as they are added, and cropping or rotating produces a
+// new image rather than a view of the old one, so a stored blob is always exactly what its pin
+// shows (and what exports and other tabs get).
+const IMAGE_FITS = ['contain', 'cover', 'stretch'];
+// 0 keeps images at their original size
+const IMAGE_MAX_DIMENSIONS = [1024, 2048, 4096, 0];
+// Redrawing these on a canvas would lose their animation or make vectors blurry
+const UNPROCESSED_IMAGE_TYPES = ['image/gif', 'image/svg+xml'];
+const ENCODABLE_IMAGE_TYPES = ['image/jpeg', 'image/webp', 'image/png'];
+
+class ImageProcessor {
+    static SETTINGS_KEY = 'freeboard_image_settings';
+    static DEFAULT_SETTINGS = { maxDimension: 2048, quality: 0.85 };
+    static MIN_CROP = 0.05;
+
+    static loadSettings() {
+        const settings = { ...ImageProcessor.DEFAULT_SETTINGS };
+        try {
+            const saved = JSON.parse(localStorage.getItem(ImageProcessor.SETTINGS_KEY)) || {};
+            if (IMAGE_MAX_DIMENSIONS.includes(saved.maxDimension)) settings.maxDimension = saved.maxDimension;
+            if (isFiniteNumber(saved.quality) && saved.quality >= 0.5 && saved.quality <= 1) settings.quality = saved.quality;
+        } catch (error) {
+            console.error('Failed to read image settings:', error);
+        }
+        return settings;
+    }
+
+    static saveSettings(settings) {
+        localStorage.setItem(ImageProcessor.SETTINGS_KEY, JSON.stringify(settings));
+    }
+
+    // Resolves to a loaded <img>, or null if the blob isn't an image the browser can read
+    static decode(blob) {
+        return new Promise(resolve => {
+            const url = URL.createObjectURL(blob);
+            const img = new Image();
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(img);
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                resolve(null);
+            };
+            img.src = url;
+        });
+    }
+
+    // Scales the image down so its longer side fits settings.maxDimension, re-encoding JPEG and
+    // WebP at settings.quality. The original is kept when that would not make it any smaller.
+    static async prepare(blob, settings) {
+        const img = await ImageProcessor.decode(blob);
+        if (!img) return null;
+
+        const original = { blob, width: img.naturalWidth || img.width, height: img.naturalHeight || img.height };
+        if (UNPROCESSED_IMAGE_TYPES.includes(blob.type)) return original;
+
+        const longest = Math.max(original.width, original.height);
+        const scale = settings.maxDimension && longest > settings.maxDimension ? settings.maxDimension / longest : 1;
+        const type = ImageProcessor.outputType(blob);
+        if (scale === 1 && type === 'image/png') return original;
+
+        const canvas = ImageProcessor.draw(img, { x: 0, y: 0, width: original.width, height: original.height }, 0, scale);
+        const encoded = canvas ? await ImageProcessor.encode(canvas, type, settings.quality) : null;
+        if (!encoded || (scale === 1 && encoded.size >= blob.size)) return original;
+        return { blob: encoded, width: canvas.width, height: canvas.height };
+    }
+
+    // `crop` is a fraction of the image ({ x, y, width, height } from 0 to 1) and `rotation` a
+    // multiple of 90 degrees clockwise, applied after cropping
+    static async transform(blob, { crop = { x: 0, y: 0, width: 1, height: 1 }, rotation = 0 }, settings) {
+        const img = await ImageProcessor.decode(blob);
+        if (!img) return null;
+
+        const width = img.naturalWidth || img.width;
+        const height = img.naturalHeight || img.height;
+        const source = {
+            x: Math.round(crop.x * width),
+            y: Math.round(crop.y * height),
+            width: Math.max(1, Math.round(crop.width * width)),
+            height: Math.max(1, Math.round(crop.height * height))
+        };
+        const canvas = ImageProcessor.draw(img, source, rotation, 1);
+        const encoded = canvas ? await ImageProcessor.encode(canvas, ImageProcessor.outputType(blob), settings.quality) : null;
+        return encoded ? { blob: encoded, width: canvas.width, height: canvas.height } : null;
+    }
+
+    static outputType(blob) {
+        return ENCODABLE_IMAGE_TYPES.includes(blob.type) ? blob.type : 'image/png';
+    }
+
+    // Draws `source` (in image pixels) scaled and turned; null where canvas isn't available
+    static draw(img, source, rotation, scale) {
+        const quarterTurns = ((Math.round(rotation / 90) % 4) + 4) % 4;
+        const width = Math.max(1, Math.round(source.width * scale));
+        const height = Math.max(1, Math.round(source.height * scale));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = quarterTurns % 2 ? height : width;
+        canvas.height = quarterTurns % 2 ? width : height;
+        const ctx = canvas.getContext('2d');
+        if (!ctx) return null;
+
+        ctx.imageSmoothingQuality = 'high';
+        ctx.translate(canvas.width / 2, canvas.height / 2);
+        ctx.rotate(quarterTurns * Math.PI / 2);
+        ctx.drawImage(img, source.x, source.y, source.width, source.height, -width / 2, -height / 2, width, height);
+        return canvas;
+    }
+
+    static encode(canvas, type, quality) {
+        return new Promise(resolve => canvas.toBlob(resolve, type, quality));
+    }
+
+    static moveCrop(box, dx, dy) {
+        return {
+            ...box,
+            x: clamp(box.x + dx, 0, 1 - box.width),
+            y: clamp(box.y + dy, 0, 1 - box.height)
+        };
+    }
+
+    // `corner` is one of nw, ne, sw, se
+    static resizeCrop(box, corner, dx, dy) {
+        const min = ImageProcessor.MIN_CROP;
+        let left = box.x;
+        let top = box.y;
+        let right = box.x + box.width;
+        let bottom = box.y + box.height;
+
+        if (corner.includes('w')) left = clamp(left + dx, 0, right - min);
+        if (corner.includes('e')) right = clamp(right + dx, left + min, 1);
+        if (corner.includes('n')) top = clamp(top + dy, 0, bottom - min);
+        if (corner.includes('s')) bottom = clamp(bottom + dy, top + min, 1);
+        return { x: left, y: top, width: right - left, height: bottom - top };
+    }
+
+    // Where an image of the given size is drawn inside `box` for a pin's fit mode
+    static fitRect(fit, box, width, height) {
+        if (fit === 'stretch' || !width || !height) return { ...box };
+
+        const scale = fit === 'cover'
+            ? Math.max(box.width / width, box.height / height)
+            : Math.min(box.width / width, box.height / height);
+        return {
+            x: box.x + (box.width - width * scale) / 2,
+            y: box.y + (box.height - height * scale) / 2,
+            width: width * scale,
+            height: height * scale
+        };
+    }
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+// ===== Notifications =====
+function showToast(message, { type = 'info', duration = 4000, key = null } = {}) {
+    const container = document.getElementById('toastContainer');
+
+    // A keyed toast replaces its previous copy instead of stacking up
+    if (key) {
+        const existing = container.querySelector(`[data-key="${key}"]`);
+        if (existing) existing.remove();
+    }
+
+    const toast = document.createElement('div');
+    toast.className = `toast ${type}`;
+    if (key) toast.dataset.key = key;
+
+    const text = document.createElement('span');
+    text.textContent = message;
+    toast.appendChild(text);
+
+    const closeBtn = document.createElement('button');
+    closeBtn.className = 'toast-close';
+    closeBtn.innerHTML = '&times;';
+    closeBtn.onclick = () => toast.remove();
+    toast.appendChild(closeBtn);
+
+    container.appendChild(toast);
+    if (duration > 0) {
+        setTimeout(() => toast.remove(), duration);
+    }
+    return toast;
+}
+
+function reportStorageError(error) {
+    console.error('Failed to save:', error);
+    const message = error && error.name === 'QuotaExceededError'
+        ? 'Storage is full, so your latest changes were not saved. Export the board or remove some images to free up space.'
+        : `Your latest changes could not be saved: ${error && error.message ? error.message : error}`;
+    showToast(message, { type: 'error', duration: 0, key: 'storage-error' });
+}
+
+// ===== Board Files (Export/Import) =====
+// A board file is a JSON document; see "Board File Format" in README.md for the schema.
+class BoardFile {
+    static FORMAT = 'freeboard';
+    static VERSION = 2;
+
+    // Each migration upgrades a parsed file from version N to N + 1
+    static migrations = {
+        // Version 0 is a raw `freeboard_state` value saved before files were versioned
+        0: (file) => ({
+            format: BoardFile.FORMAT,
+            version: 1,
+            exportedAt: null,
+            board: {
+                pins: (file.pins || []).map(entry => entry[1]),
+                viewport: {
+                    zoom: file.zoom || 1,
+                    panX: file.panX || 0,
+                    panY: file.panY || 0
+                },
+                nextPinId: file.nextPinId || 1
+            },
+            snapshots: []
+        }),
+        // Version 2 added connectors between pins
+        1: (file) => ({
+            ...file,
+            version: 2,
+            board: file.board && { ...file.board, connectors: [] },
+            snapshots: Array.isArray(file.snapshots)
+                ? file.snapshots.map(snapshot => ({ ...snapshot, board: snapshot && snapshot.board && { ...snapshot.board, connectors: [] } }))
+                : file.snapshots
+        })
+    };
+
+    static async create(boardState) {
+        const snapshots = await boardState.getSnapshots();
+
+        return {
+            format: BoardFile.FORMAT,
+            version: BoardFile.VERSION,
+            exportedAt: new Date().toISOString(),
+            board: {
+                pins: await BoardFile.exportPins(boardState.getAllPins()),
+                connectors: boardState.getAllConnectors(),
+                tagColors: Object.fromEntries(Array.from(boardState.tagStyles.values()).map(style => [style.id, style.color])),
+                viewport: {
+                    zoom: boardState.zoom,
+                    panX: boardState.panX,
+                    panY: boardState.panY
+                },
+                nextPinId: boardState.nextPinId
+            },
+            snapshots: await Promise.all(snapshots.map(async snapshot => ({
+                name: snapshot.name,
+                date: snapshot.date,
+                board: {
+                    pins: await BoardFile.exportPins(snapshot.data.pins.map(entry => entry[1])),
+                    connectors: snapshot.data.connectors || [],
+                    ...(snapshot.data.tagStyles && {
+                        tagColors: Object.fromEntries(snapshot.data.tagStyles.map(style => [style.id, style.color]))
+                    }),
+                    viewport: {
+                        zoom: snapshot.data.zoom,
+                        panX: snapshot.data.panX,
+                        panY: snapshot.data.panY
+                    }
+                }
+            })))
+        };
+    }
+
+    // Each pin type converts its pins to and from the form they take in files
+    static exportPins(pins) {
+        return Promise.all(pins.map(pin => PinTypes.serialize(pin)));
+    }
+
+    static importPins(pins) {
+        return Promise.all(pins.map(pin => PinTypes.deserialize(pin)));
+    }
+
+    // Parses, migrates and validates file text; throws an Error describing the first problem
+    static parse(text) {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch (e) {
+            throw new Error('The file is not valid JSON.');
+        }
+        if (!file || typeof file !== 'object' || Array.isArray(file)) {
+            throw new Error('The file does not contain a board.');
+        }
+
+        let version;
+        if (file.format === undefined && Array.isArray(file.pins)) {
+            version = 0;
+        } else if (file.format === BoardFile.FORMAT && Number.isInteger(file.version)) {
+            version = file.version;
+        } else {
+            throw new Error('The file is not a FreeBoard board.');
+        }
+        if (version > BoardFile.VERSION) {
+            throw new Error(`The file was made by a newer FreeBoard (format version ${version}).`);
+        }
+
+        while (version < BoardFile.VERSION) {
+            file = BoardFile.migrations[version](file);
+            version = file.version;
+        }
+
+        BoardFile.validateBoard(file.board, 'board', true);
+        if (!Array.isArray(file.snapshots)) {
+            throw new Error('snapshots must be an array.');
+        }
+        file.snapshots.forEach((snapshot, index) => {
+            const where = `snapshots[${index}]`;
+            if (!snapshot || typeof snapshot.name !== 'string') {
+                throw new Error(`${where} needs a name.`);
+            }
+            if (isNaN(Date.parse(snapshot.date))) {
+                throw new Error(`${where} has an invalid date.`);
+            }
+            BoardFile.validateBoard(snapshot.board, `${where}.board`, false);
+        });
+
+        return file;
+    }
+
+    static validateBoard(board, where, requireNextPinId) {
+        if (!board || typeof board !== 'object') {
+            throw new Error(`${where} is missing.`);
+        }
+        if (!Array.isArray(board.pins)) {
+            throw new Error(`${where}.pins must be an array.`);
+        }
+
+        // Pin types upgrade pins saved by older versions of themselves before they are checked
+        board.pins = board.pins.map(pin => PinTypes.migrate(pin));
+        const ids = new Set();
+        board.pins.forEach((pin, index) => {
+            BoardFile.validatePin(pin, `${where}.pins[${index}]`);
+            if (ids.has(pin.id)) {
+                throw new Error(`${where}.pins has a duplicate id "${pin.id}".`);
+            }
+            ids.add(pin.id);
+        });
+
+        if (!Array.isArray(board.connectors)) {
+            throw new Error(`${where}.connectors must be an array.`);
+        }
+        const connectorIds = new Set();
+        board.connectors.forEach((connector, index) => {
+            BoardFile.validateConnector(connector, `${where}.connectors[${index}]`, ids);
+            if (connectorIds.has(connector.id)) {
+                throw new Error(`${where}.connectors has a duplicate id "${connector.id}".`);
+            }
+            connectorIds.add(connector.id);
+        });
+
+        if (board.tagColors !== undefined) {
+            if (!board.tagColors || typeof board.tagColors !== 'object' || Array.isArray(board.tagColors) ||
+                !Object.values(board.tagColors).every(isHexColor)) {
+                throw new Error(`${where}.tagColors must map tag names to colors.`);
+            }
+        }
+
+        const viewport = board.viewport;
+        if (!viewport || !isFiniteNumber(viewport.zoom) || viewport.zoom <= 0 ||
+            !isFiniteNumber(viewport.panX) || !isFiniteNumber(viewport.panY)) {
+            throw new Error(`${where}.viewport needs a positive zoom and numeric panX/panY.`);
+        }
+        if (requireNextPinId && !(Number.isInteger(board.nextPinId) && board.nextPinId > 0)) {
+            throw new Error(`${where}.nextPinId must be a positive integer.`);
+        }
+    }
+
+    static validatePin(pin, where) {
+        if (!pin || typeof pin !== 'object') {
+            throw new Error(`${where} is not a pin.`);
+        }
+        if (typeof pin.id !== 'string' || !pin.id) {
+            throw new Error(`${where} needs a string id.`);
+        }
+        ['x', 'y', 'width', 'height'].forEach(key => {
+            if (!isFiniteNumber(pin[key])) {
+                throw new Error(`${where}.${key} must be a number.`);
+            }
+        });
+        if (!Array.isArray(pin.tags) || !pin.tags.every(tag => typeof tag === 'string')) {
+            throw new Error(`${where}.tags must be an array of strings.`);
+        }
+        if (pin.z !== undefined && !isFiniteNumber(pin.z)) {
+            throw new Error(`${where}.z must be a number.`);
+        }
+        if (pin.locked !== undefined && typeof pin.locked !== 'boolean') {
+            throw new Error(`${where}.locked must be true or false.`);
+        }
+        if (pin.frameId !== undefined && pin.frameId !== null && typeof pin.frameId !== 'string') {
+            throw new Error(`${where}.frameId must be a pin id or null.`);
+        }
+
+        const definition = PinTypes.get(pin.type);
+        if (!definition) {
+            throw new Error(`${where} has an unknown type "${pin.type}".`);
+        }
+        definition.validate(pin, where);
+    }
+
+    static validateStroke(stroke, where) {
+        if (!stroke || !SKETCH_TOOLS.includes(stroke.tool)) {
+            throw new Error(`${where}.tool must be one of ${SKETCH_TOOLS.join(', ')}.`);
+        }
+        if (typeof stroke.color !== 'string') {
+            throw new Error(`${where}.color must be a string.`);
+        }
+        if (!isFiniteNumber(stroke.width) || stroke.width <= 0) {
+            throw new Error(`${where}.width must be a positive number.`);
+        }
+        if (!Array.isArray(stroke.points) || !stroke.points.every(point =>
+            Array.isArray(point) && point.length === 3 && point.every(isFiniteNumber))) {
+            throw new Error(`${where}.points must be an array of [x, y, pressure].`);
+        }
+    }
+
+    static validateConnector(connector, where, pinIds) {
+        if (!connector || typeof connector !== 'object') {
+            throw new Error(`${where} is not a connector.`);
+        }
+        if (typeof connector.id !== 'string' || !connector.id) {
+            throw new Error(`${where} needs a string id.`);
+        }
+        ['from', 'to'].forEach(key => {
+            if (!pinIds.has(connector[key])) {
+                throw new Error(`${where}.${key} must be the id of a pin on the same board.`);
+            }
+        });
+        if (connector.from === connector.to) {
+            throw new Error(`${where} cannot connect a pin to itself.`);
+        }
+        if (typeof connector.label !== 'string') {
+            throw new Error(`${where}.label must be a string.`);
+        }
+        ['startHead', 'endHead'].forEach(key => {
+            if (!CONNECTOR_HEADS.includes(connector[key])) {
+                throw new Error(`${where}.${key} must be one of ${CONNECTOR_HEADS.join(', ')}.`);
+            }
+        });
+        if (!CONNECTOR_ROUTINGS.includes(connector.routing)) {
+            throw new Error(`${where}.routing must be one of ${CONNECTOR_ROUTINGS.join(', ')}.`);
+        }
+    }
+
+    // Converts file boards back into the shapes BoardState keeps in memory and storage
+    static async toBoard(fileBoard) {
+        return {
+            pins: await BoardFile.importPins(fileBoard.pins),
+            connectors: fileBoard.connectors,
+            tagStyles: Object.entries(fileBoard.tagColors || {}).map(([id, color]) => ({ id, color })),
+            zoom: fileBoard.viewport.zoom,
+            panX: fileBoard.viewport.panX,
+            panY: fileBoard.viewport.panY,
+            nextPinId: fileBoard.nextPinId
+        };
+    }
+
+    static toSnapshots(fileSnapshots) {
+        return Promise.all(fileSnapshots.map(async snapshot => ({
+            name: snapshot.name,
+            date: snapshot.date,
+            data: {
+                pins: (await BoardFile.importPins(snapshot.board.pins)).map(pin => [pin.id, pin]),
+                connectors: snapshot.board.connectors,
+                ...(snapshot.board.tagColors && {
+                    tagStyles: Object.entries(snapshot.board.tagColors).map(([id, color]) => ({ id, color }))
+                }),
+                zoom: snapshot.board.viewport.zoom,
+                panX: snapshot.board.viewport.panX,
+                panY: snapshot.board.viewport.panY
+            }
+        })));
+    }
+}
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && isFinite(value);
+}
+
+function isHexColor(value) {
+    return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+}
+
+function downloadFile(filename, blob) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// ===== Image Export =====
+// Pins are laid out once into drawing operations, which are then played back
+// either onto a canvas (PNG) or into SVG markup, so both formats match.
+class ImageExporter {
+    static PADDING = 40;
+    static HEADER_HEIGHT = 41;
+    static CONTENT_PADDING = 16;
+    static FONT_FAMILY = "Inter, -apple-system, 'Segoe UI', Roboto, sans-serif";
+
+    constructor() {
+        this.measureContext = document.createElement('canvas').getContext('2d');
+    }
+
+    // Returns { x, y, width, height, pins } in board coordinates, or null if there is nothing to export
+    getRegion(area) {
+        let pins = state.getFilteredPins().sort(BoardState.compareStacking);
+
+        if (area === 'viewport') {
+            const rect = document.getElementById('canvasContainer').getBoundingClientRect();
+            const region = {
+                x: -state.panX / state.zoom,
+                y: -state.panY / state.zoom,
+                width: rect.width / state.zoom,
+                height: rect.height / state.zoom
+            };
+            region.pins = pins.filter(pin => rectsIntersect(pin, region));
+            return region;
+        }
+
+        if (area === 'selection') {
+            pins = pins.filter(pin => boardRenderer.selectedPins.has(pin.id));
+        }
+        if (pins.length === 0) return null;
+
+        const padding = ImageExporter.PADDING;
+        const left = Math.min(...pins.map(pin => pin.x)) - padding;
+        const top = Math.min(...pins.map(pin => pin.y)) - padding;
+        const right = Math.max(...pins.map(pin => pin.x + pin.width)) + padding;
+        const bottom = Math.max(...pins.map(pin => pin.y + pin.height)) + padding;
+
+        return { x: left, y: top, width: right - left, height: bottom - top, pins };
+    }
+
+    getTheme() {
+        const styles = getComputedStyle(document.documentElement);
+        const read = (name) => styles.getPropertyValue(name).trim();
+        return {
+            background: read('--bg-primary') || '#0a0a14',
+            pin: read('--glass-pin') || 'rgba(20, 20, 31, 0.85)',
+            border: read('--border-color') || 'rgba(255, 255, 255, 0.08)',
+            header: 'rgba(255, 255, 255, 0.02)',
+            placeholder: read('--bg-tertiary') || '#1e1e2d',
+            text: read('--text-primary') || '#ffffff',
+            muted: read('--text-tertiary') || '#9595ab',
+            tagFill: read('--primary-900') || 'hsl(260, 90%, 25%)',
+            tagBorder: read('--primary-700') || 'hsl(260, 90%, 45%)',
+            tagText: read('--primary-300') || 'hsl(260, 90%, 72%)',
+            accent: read('--primary-500') || 'hsl(260, 90%, 65%)'
+        };
+    }
+
+    layout(pins, theme) {
+        const ops = [];
+        this.layoutConnectors(pins, theme, ops);
+        pins.forEach(pin => this.layoutPin(pin, theme, ops));
+        return ops;
+    }
+
+    // Only connectors whose both pins are exported are drawn; they go underneath the pins
+    layoutConnectors(pins, theme, ops) {
+        const pinsById = new Map(pins.map(pin => [pin.id, pin]));
+        const toPairs = (points) => points.map(point => [point.x, point.y]);
+
+        state.getAllConnectors()
+            .filter(connector => pinsById.has(connector.from) && pinsById.has(connector.to))
+            .forEach(connector => {
+                const route = ConnectorGeometry.route(connector, pinsById.get(connector.from), pinsById.get(connector.to));
+                ops.push({ kind: 'line', points: toPairs(route.points), stroke: theme.muted, lineWidth: 2 });
+
+                route.heads.forEach(head => {
+                    if (head.kind === 'circle') {
+                        ops.push({ kind: 'circle', x: head.x, y: head.y, r: head.r, fill: theme.muted });
+                    } else if (head.kind === 'polygon') {
+                        ops.push({ kind: 'polygon', points: toPairs(head.points), fill: theme.muted });
+                    } else {
+                        ops.push({ kind: 'line', points: toPairs(head.points), stroke: theme.muted, lineWidth: 2 });
+                    }
+                });
+
+                if (connector.label) {
+                    const font = { size: 13, weight: 500 };
+                    const width = this.measure(connector.label, font);
+                    const { x, y } = route.labelAt;
+                    ops.push({ kind: 'rect', x: x - width / 2 - 6, y: y - 10, width: width + 12, height: 20, radius: 6, fill: theme.background });
+                    ops.push({ kind: 'text', x: x - width / 2, y: y + 4.5, text: connector.label, font, color: theme.text });
+                }
+            });
+    }
+
+    layoutPin(pin, theme, ops) {
+        const radius = 12;
+        const pad = ImageExporter.CONTENT_PADDING;
+        const headerHeight = ImageExporter.HEADER_HEIGHT;
+
+        const isFrame = pin.type === 'frame';
+        const height = isFrame && pin.collapsed ? headerHeight : pin.height;
+        ops.push({ kind: 'rect', x: pin.x, y: pin.y, width: pin.width, height, radius, fill: isFrame ? theme.header : theme.pin, stroke: theme.border, dashed: isFrame });
+        ops.push({ kind: 'clip', x: pin.x, y: pin.y, width: pin.width, height, radius });
+
+        // Header with tag chips
+        ops.push({ kind: 'rect', x: pin.x, y: pin.y, width: pin.width, height: headerHeight, fill: theme.header });
+        ops.push({ kind: 'line', points: [[pin.x, pin.y + headerHeight], [pin.x + pin.width, pin.y + headerHeight]], stroke: theme.border, lineWidth: 1 });
+
+        let tagX = pin.x + pad;
+        if (isFrame) {
+            const font = { size: 14, weight: 600 };
+            ops.push({ kind: 'text', x: tagX, y: pin.y + 26, text: pin.title, font, color: theme.text });
+            tagX += this.measure(pin.title, font) + 12;
+        }
+        (pin.tags || []).forEach(tag => {
+            const font = { size: 12, weight: 400 };
+            const chipWidth = this.measure(tag, font) + 16;
+            if (tagX + chipWidth > pin.x + pin.width - pad) return;
+            const color = state.getTagColor(tag);
+            ops.push({ kind: 'rect', x: tagX, y: pin.y + 11, width: chipWidth, height: 19, radius: 6, fill: color || theme.tagFill, stroke: color || theme.tagBorder });
+            ops.push({ kind: 'text', x: tagX + 8, y: pin.y + 25, text: tag, font, color: color ? '#ffffff' : theme.tagText });
+            tagX += chipWidth + 4;
+        });
+
+        const definition = PinTypes.get(pin.type);
+        if (definition) {
+            const box = { x: pin.x + pad, y: pin.y + headerHeight + pad, width: pin.width - pad * 2, bottom: pin.y + pin.height };
+            definition.layout(pin, box, theme, ops, this);
+        }
+
+        ops.push({ kind: 'unclip' });
+    }
+
+    layoutText(content, x, y, width, bottom, theme, ops) {
+        const font = { size: 15, weight: 400 };
+        const lineHeight = 24;
+        let baseline = y + 17;
+
+        for (const line of this.wrap(content, width, font)) {
+            if (baseline > bottom) break;
+            ops.push({ kind: 'text', x, y: baseline, text: line, font, color: theme.text });
+            baseline += lineHeight;
+        }
+    }
+
+    layoutList(items, x, y, width, theme, ops) {
+        const font = { size: 15, weight: 400 };
+        const rowHeight = 39;
+
+        items.forEach((item, index) => {
+            const rowY = y + index * rowHeight;
+            const boxY = rowY + 10;
+            ops.push({
+                kind: 'rect', x, y: boxY, width: 18, height: 18, radius: 3,
+                fill: item.completed ? theme.accent : 'transparent',
+                stroke: item.completed ? theme.accent : theme.muted
+            });
+            if (item.completed) {
+                ops.push({ kind: 'line', points: [[x + 4, boxY + 9], [x + 8, boxY + 13], [x + 14, boxY + 5]], stroke: '#ffffff', lineWidth: 2 });
+            }
+
+            const textX = x + 26;
+            const text = this.truncate(item.text || '', width - 26, font);
+            ops.push({ kind: 'text', x: textX, y: boxY + 14, text, font, color: item.completed ? theme.muted : theme.text, strike: item.completed });
+
+            if (index < items.length - 1) {
+                ops.push({ kind: 'line', points: [[x, rowY + rowHeight], [x + width, rowY + rowHeight]], stroke: theme.border, lineWidth: 1 });
+            }
+        });
+    }
+
+    fontString(font) {
+        return `${font.weight} ${font.size}px ${ImageExporter.FONT_FAMILY}`;
+    }
+
+    measure(text, font) {
+        if (!this.measureContext) return text.length * font.size * 0.55;
+        this.measureContext.font = this.fontString(font);
+        return this.measureContext.measureText(text).width;
+    }
+
+    wrap(content, width, font) {
+        const lines = [];
+        content.split('\n').forEach(paragraph => {
+            let line = '';
+            paragraph.split(' ').forEach(word => {
+                const candidate = line ? `${line} ${word}` : word;
+                if (line && this.measure(candidate, font) > width) {
+                    lines.push(line);
+                    line = word;
+                } else {
+                    line = candidate;
+                }
+            });
+            lines.push(line);
+        });
+        return lines;
+    }
+
+    truncate(text, width, font) {
+        if (this.measure(text, font) <= width) return text;
+        let end = text.length;
+        while (end > 0 && this.measure(`${text.slice(0, end)}…`, font) > width) end--;
+        return `${text.slice(0, end)}…`;
+    }
+
+    // Resolves to null when the browser can't make a canvas that large
+    async toPng(region, options) {
+        const theme = this.getTheme();
+        const ops = this.layout(region.pins, theme);
+        const images = await this.loadImages(ops);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.ceil(region.width * options.scale);
+        canvas.height = Math.ceil(region.height * options.scale);
+        const ctx = canvas.getContext('2d');
+        if (!ctx) return null;
+
+        ctx.scale(options.scale, options.scale);
+        ctx.translate(-region.x, -region.y);
+        if (options.background === 'themed') {
+            ctx.fillStyle = theme.background;
+            ctx.fillRect(region.x, region.y, region.width, region.height);
+        }
+
+        ops.forEach(op => this.drawOp(ctx, op, images));
+
+        return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    }
+
+    loadImages(ops) {
+        const images = new Map();
+        const loads = ops.filter(op => op.kind === 'image').map(op => new Promise(resolve => {
+            const img = new Image();
+            img.onload = () => {
+                images.set(op.src, img);
+                resolve();
+            };
+            img.onerror = resolve;
+            img.src = op.src;
+        }));
+        return Promise.all(loads).then(() => images);
+    }
+
+    drawOp(ctx, op, images) {
+        switch (op.kind) {
+            case 'rect':
+                ctx.beginPath();
+                ctx.roundRect(op.x, op.y, op.width, op.height, op.radius || 0);
+                ctx.fillStyle = op.fill;
+                ctx.fill();
+                if (op.stroke) {
+                    ctx.setLineDash(op.dashed ? [6, 4] : []);
+                    ctx.strokeStyle = op.stroke;
+                    ctx.lineWidth = op.dashed ? 2 : 1;
+                    ctx.stroke();
+                    ctx.setLineDash([]);
+                }
+                break;
+            case 'clip':
+                ctx.save();
+                ctx.beginPath();
+                ctx.roundRect(op.x, op.y, op.width, op.height, op.radius);
+                ctx.clip();
+                break;
+            case 'unclip':
+                ctx.restore();
+                break;
+            case 'line':
+                ctx.beginPath();
+                op.points.forEach(([x, y], index) => index ? ctx.lineTo(x, y) : ctx.moveTo(x, y));
+                ctx.strokeStyle = op.stroke;
+                ctx.lineWidth = op.lineWidth;
+                ctx.stroke();
+                break;
+            case 'polygon':
+                ctx.beginPath();
+                op.points.forEach(([x, y], index) => index ? ctx.lineTo(x, y) : ctx.moveTo(x, y));
+                ctx.closePath();
+                ctx.fillStyle = op.fill;
+                ctx.fill();
+                break;
+            case 'circle':
+                ctx.beginPath();
+                ctx.arc(op.x, op.y, op.r, 0, Math.PI * 2);
+                ctx.fillStyle = op.fill;
+                ctx.fill();
+                break;
+            case 'path':
+                ctx.globalAlpha = op.opacity;
+                ctx.fillStyle = op.fill;
+                ctx.fill(new Path2D(op.d));
+                ctx.globalAlpha = 1;
+                break;
+            case 'text':
+                ctx.font = this.fontString(op.font);
+                ctx.fillStyle = op.color;
+                ctx.fillText(op.text, op.x, op.y);
+                if (op.strike) {
+                    const width = ctx.measureText(op.text).width;
+                    ctx.fillRect(op.x, op.y - op.font.size * 0.3, width, 1);
+                }
+                break;
+            case 'image':
+                if (images.has(op.src)) {
+                    ctx.drawImage(images.get(op.src), op.x, op.y, op.width, op.height);
+                }
+                break;
+        }
+    }
+
+    async toSvg(region, options) {
+        const theme = this.getTheme();
+        const ops = this.layout(region.pins, theme);
+
+        // A standalone SVG cannot point at object URLs, so images are inlined
+        const dataUrls = new Map();
+        for (const op of ops) {
+            if (op.kind === 'image' && !dataUrls.has(op.imageId)) {
+                dataUrls.set(op.imageId, await imageLibrary.getDataUrl(op.imageId));
+            }
+        }
+
+        const defs = [];
+        const body = [];
+        let clipCount = 0;
+
+        ops.forEach(op => {
+            switch (op.kind) {
+                case 'rect':
+                    body.push(`<rect x="${op.x}" y="${op.y}" width="${op.width}" height="${op.height}" rx="${op.radius || 0}" ` +
+                        `fill="${escapeXml(op.fill)}"${op.stroke ? ` stroke="${escapeXml(op.stroke)}" stroke-width="${op.dashed ? 2 : 1}"` : ''}` +
+                        `${op.dashed ? ' stroke-dasharray="6 4"' : ''}/>`);
+                    break;
+                case 'clip': {
+                    const id = `pin-clip-${++clipCount}`;
+                    defs.push(`<clipPath id="${id}"><rect x="${op.x}" y="${op.y}" width="${op.width}" height="${op.height}" rx="${op.radius}"/></clipPath>`);
+                    body.push(`<g clip-path="url(#${id})">`);
+                    break;
+                }
+                case 'unclip':
+                    body.push('</g>');
+                    break;
+                case 'line':
+                    body.push(`<polyline points="${op.points.map(point => point.join(',')).join(' ')}" fill="none" ` +
+                        `stroke="${escapeXml(op.stroke)}" stroke-width="${op.lineWidth}"/>`);
+                    break;
+                case 'polygon':
+                    body.push(`<polygon points="${op.points.map(point => point.join(',')).join(' ')}" fill="${escapeXml(op.fill)}"/>`);
+                    break;
+                case 'circle':
+                    body.push(`<circle cx="${op.x}" cy="${op.y}" r="${op.r}" fill="${escapeXml(op.fill)}"/>`);
+                    break;
+                case 'path':
+                    body.push(`<path d="${op.d}" fill="${escapeXml(op.fill)}"${op.opacity < 1 ? ` fill-opacity="${op.opacity}"` : ''}/>`);
+                    break;
+                case 'text':
+                    body.push(`<text x="${op.x}" y="${op.y}" font-size="${op.font.size}" font-weight="${op.font.weight}" ` +
+                        `fill="${escapeXml(op.color)}"${op.strike ? ' text-decoration="line-through"' : ''} xml:space="preserve">` +
+                        `${escapeXml(op.text)}</text>`);
+                    break;
+                case 'image':
+                    body.push(`<image x="${op.x}" y="${op.y}" width="${op.width}" height="${op.height}" ` +
+                        `preserveAspectRatio="none" href="${escapeXml(dataUrls.get(op.imageId) || '')}"/>`);
+                    break;
+            }
+        });
+
+        const width = Math.ceil(region.width * options.scale);
+        const height = Math.ceil(region.height * options.scale);
+        const background = options.background === 'themed'
+            ? `<rect x="${region.x}" y="${region.y}" width="${region.width}" height="${region.height}" fill="${escapeXml(theme.background)}"/>`
+            : '';
+
+        const svg = `<?xml version="1.0" encoding="UTF-8"?>\n` +
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" ` +
+            `viewBox="${region.x} ${region.y} ${region.width} ${region.height}" font-family="${escapeXml(ImageExporter.FONT_FAMILY)}">\n` +
+            `<defs>${defs.join('')}</defs>\n${background}\n${body.join('\n')}\n</svg>\n`;
+
+        return new Blob([svg], { type: 'image/svg+xml' });
+    }
+}
+
+function rectsIntersect(a, b) {
+    return a.x < b.x + b.width && a.x + a.width > b.x &&
+        a.y < b.y + b.height && a.y + a.height > b.y;
+}
+
+function rectContains(outer, inner) {
+    return inner.x >= outer.x && inner.y >= outer.y &&
+        inner.x + inner.width <= outer.x + outer.width && inner.y + inner.height <= outer.y + outer.height;
+}
+
+function rectContainsPoint(rect, point) {
+    return point.x >= rect.x && point.x <= rect.x + rect.width &&
+        point.y >= rect.y && point.y <= rect.y + rect.height;
+}
+
+// The rectangle a pin takes up on the board; a collapsed frame is only as tall as its header
+function pinBounds(pin) {
+    const height = pin.type === 'frame' && pin.collapsed ? FRAME_COLLAPSED_HEIGHT : pin.height;
+    return { x: pin.x, y: pin.y, width: pin.width, height };
+}
+
+function escapeXml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'
+    })[char]);
+}
+
+// ===== Connectors =====
+// A connector is { id, from, to, label, startHead, endHead, routing }, where `from` and `to` are pin ids.
+// Geometry is worked out from plain rectangles so the canvas and the image exporter draw the same shapes.
+const CONNECTOR_HEADS = ['none', 'arrow', 'triangle', 'dot'];
+const CONNECTOR_ROUTINGS = ['straight', 'elbow'];
+
+class ConnectorGeometry {
+    static HEAD_SIZE = 10;
+
+    // Returns { points, heads, labelAt } for a connector between two { x, y, width, height } rectangles
+    static route(connector, fromRect, toRect) {
+        const points = connector.routing === 'elbow'
+            ? ConnectorGeometry.elbow(fromRect, toRect)
+            : ConnectorGeometry.straight(fromRect, toRect);
+
+        const last = points.length - 1;
+        const heads = [
+            ConnectorGeometry.head(connector.startHead, points[0], points[1]),
+            ConnectorGeometry.head(connector.endHead, points[last], points[last - 1])
+        ].filter(Boolean);
+
+        return { points, heads, labelAt: ConnectorGeometry.midpoint(points) };
+    }
+
+    // Anchors where the line between the two centres crosses each pin's edge
+    static straight(a, b) {
+        const centerA = ConnectorGeometry.center(a);
+        const centerB = ConnectorGeometry.center(b);
+        return [
+            ConnectorGeometry.edgePoint(a, centerB),
+            ConnectorGeometry.edgePoint(b, centerA)
+        ];
+    }
+
+    // Leaves and enters through facing edge midpoints, turning halfway between the pins
+    static elbow(a, b) {
+        const centerA = ConnectorGeometry.center(a);
+        const centerB = ConnectorGeometry.center(b);
+        const dx = centerB.x - centerA.x;
+        const dy = centerB.y - centerA.y;
+
+        if (Math.abs(dx) >= Math.abs(dy)) {
+            const start = { x: dx >= 0 ? a.x + a.width : a.x, y: centerA.y };
+            const end = { x: dx >= 0 ? b.x : b.x + b.width, y: centerB.y };
+            const midX = (start.x + end.x) / 2;
+            return [start, { x: midX, y: start.y }, { x: midX, y: end.y }, end];
+        }
+
+        const start = { x: centerA.x, y: dy >= 0 ? a.y + a.height : a.y };
+        const end = { x: centerB.x, y: dy >= 0 ? b.y : b.y + b.height };
+        const midY = (start.y + end.y) / 2;
+        return [start, { x: start.x, y: midY }, { x: end.x, y: midY }, end];
+    }
+
+    static center(rect) {
+        return { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 };
+    }
+
+    static edgePoint(rect, toward) {
+        const center = ConnectorGeometry.center(rect);
+        const dx = toward.x - center.x;
+        const dy = toward.y - center.y;
+        if (dx === 0 && dy === 0) return center;
+
+        const scale = Math.min(
+            dx === 0 ? Infinity : (rect.width / 2) / Math.abs(dx),
+            dy === 0 ? Infinity : (rect.height / 2) / Math.abs(dy)
+        );
+        return { x: center.x + dx * Math.min(scale, 1), y: center.y + dy * Math.min(scale, 1) };
+    }
+
+    // A head at `tip`, pointing away from `from`: { kind: 'polygon' | 'polyline', points } or { kind: 'circle', x, y, r }
+    static head(kind, tip, from) {
+        if (kind === 'dot') {
+            return { kind: 'circle', x: tip.x, y: tip.y, r: ConnectorGeometry.HEAD_SIZE * 0.4 };
+        }
+        if (kind !== 'arrow' && kind !== 'triangle') return null;
+
+        const angle = Math.atan2(tip.y - from.y, tip.x - from.x);
+        const size = ConnectorGeometry.HEAD_SIZE;
+        const back = { x: tip.x - Math.cos(angle) * size, y: tip.y - Math.sin(angle) * size };
+        const offset = { x: -Math.sin(angle) * size / 2, y: Math.cos(angle) * size / 2 };
+        const points = [
+            { x: back.x + offset.x, y: back.y + offset.y },
+            tip,
+            { x: back.x - offset.x, y: back.y - offset.y }
+        ];
+        return { kind: kind === 'triangle' ? 'polygon' : 'polyline', points };
+    }
+
+    // The point halfway along the path
+    static midpoint(points) {
+        const lengths = points.slice(1).map((point, i) => Math.hypot(point.x - points[i].x, point.y - points[i].y));
+        let remaining = lengths.reduce((sum, length) => sum + length, 0) / 2;
+
+        for (let i = 0; i < lengths.length; i++) {
+            if (remaining <= lengths[i] && lengths[i] > 0) {
+                const t = remaining / lengths[i];
+                return {
+                    x: points[i].x + (points[i + 1].x - points[i].x) * t,
+                    y: points[i].y + (points[i + 1].y - points[i].y) * t
+                };
+            }
+            remaining -= lengths[i];
+        }
+        return points[0];
+    }
+}
+
+function createSvgElement(tag, attributes = {}) {
+    const element = document.createElementNS('http://www.w3.org/2000/svg', tag);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+}
+
+function formatPoints(points) {
+    return points.map(point => `${point.x},${point.y}`).join(' ');
+}
+
+// ===== Sketches =====
+// Sketch pins keep strokes as vectors: { tool, color, width, points: [[x, y, pressure], ...] },
+// in pixels relative to the drawing surface. Each stroke is drawn as a filled outline so
+// pressure can vary its width, and it stays sharp at any zoom.
+const SKETCH_TOOLS = ['pen', 'highlighter'];
+
+class SketchGeometry {
+    static HIGHLIGHTER_OPACITY = 0.35;
+
+    static pointWidth(stroke, point) {
+        // Highlighters ignore pressure; pens range from half to one and a half times the base width
+        return stroke.tool === 'highlighter' ? stroke.width : stroke.width * (0.5 + point[2]);
+    }
+
+    // SVG path data for the stroke's outline with round caps, shifted by (offsetX, offsetY)
+    static outline(stroke, offsetX = 0, offsetY = 0) {
+        const points = stroke.points;
+        if (points.length === 0) return '';
+
+        const left = [];
+        const right = [];
+        points.forEach((point, i) => {
+            const previous = points[Math.max(i - 1, 0)];
+            const next = points[Math.min(i + 1, points.length - 1)];
+            let dx = next[0] - previous[0];
+            let dy = next[1] - previous[1];
+            const length = Math.hypot(dx, dy);
+            if (length === 0) {
+                dx = 1;
+                dy = 0;
+            } else {
+                dx /= length;
+                dy /= length;
+            }
+
+            const half = SketchGeometry.pointWidth(stroke, point) / 2;
+            const x = point[0] + offsetX;
+            const y = point[1] + offsetY;
+            left.push([x - dy * half, y + dx * half]);
+            right.push([x + dy * half, y - dx * half]);
+        });
+
+        const format = ([x, y]) => `${x.toFixed(1)} ${y.toFixed(1)}`;
+        const endRadius = (SketchGeometry.pointWidth(stroke, points[points.length - 1]) / 2).toFixed(1);
+        const startRadius = (SketchGeometry.pointWidth(stroke, points[0]) / 2).toFixed(1);
+
+        return `M ${left.map(format).join(' L ')} ` +
+            `A ${endRadius} ${endRadius} 0 0 0 ${format(right[right.length - 1])} ` +
+            `L ${right.reverse().map(format).join(' L ')} ` +
+            `A ${startRadius} ${startRadius} 0 0 0 ${format(left[0])} Z`;
+    }
+
+    // Whether a circle of `radius` around `point` touches the stroke
+    static hitsStroke(stroke, point, radius) {
+        const reach = radius + stroke.width / 2;
+        return stroke.points.some((start, i) => {
+            const end = stroke.points[Math.min(i + 1, stroke.points.length - 1)];
+            return SketchGeometry.distanceToSegment(point, start, end) <= reach;
+        });
+    }
+
+    static distanceToSegment(point, start, end) {
+        const dx = end[0] - start[0];
+        const dy = end[1] - start[1];
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared === 0
+            ? 0
+            : Math.max(0, Math.min(1, ((point.x - start[0]) * dx + (point.y - start[1]) * dy) / lengthSquared));
+        return Math.hypot(point.x - (start[0] + dx * t), point.y - (start[1] + dy * t));
+    }
+}
+
+// ===== Markdown =====
+// A small Markdown renderer for text pins. It builds DOM nodes directly and never assigns
+// innerHTML, so any HTML in the source shows up as literal text instead of running.
+// Link targets are limited to SAFE_URL_SCHEMES (or no scheme at all).
+const SAFE_URL_SCHEMES = ['http', 'https', 'mailto'];
+
+class Markdown {
+    static FENCE = /^\s*(```|~~~)/;
+    static HEADING = /^\s*(#{1,6})\s+(.*?)\s*#*\s*$/;
+    static RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+    static QUOTE = /^\s*>\s?(.*)$/;
+    static LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+    static TASK = /^\[([ xX])\]\s+(.*)$/;
+    static TASK_MARKER = /^(\s*(?:[-*+]|\d+[.)])\s+)\[([ xX])\]/;
+
+    // Inline patterns in priority order; the earliest match in the text wins
+    static INLINE = [
+        { tag: 'code', pattern: /`([^`]+)`/ },
+        { tag: 'a', pattern: /\[([^\]]+)\]\(\s*((?:[^()\s]|\([^()\s]*\))+)\s*\)/ },
+        { tag: 'autolink', pattern: /\bhttps?:\/\/[^\s<>]*[^\s<>.,;:!?'")\]]/ },
+        { tag: 'strong', pattern: /\*\*(.+?)\*\*|\b__(.+?)__\b/ },
+        { tag: 'del', pattern: /~~(.+?)~~/ },
+        { tag: 'em', pattern: /\*([^*\s](?:.*?[^*\s])?)\*|\b_([^_]+?)_\b/ }
+    ];
+
+    // Renders `source` into a fragment. Task checkboxes carry the source line they came from
+    // in data-line, for Markdown.toggleTask.
+    static render(source) {
+        const fragment = document.createDocumentFragment();
+        const lines = source.replace(/\r\n?/g, '\n').split('\n');
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            const fence = Markdown.FENCE.exec(line);
+            if (fence) {
+                const code = [];
+                i++;
+                while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                i++;
+                const pre = document.createElement('pre');
+                const codeElement = document.createElement('code');
+                codeElement.textContent = code.join('\n');
+                pre.appendChild(codeElement);
+                fragment.appendChild(pre);
+                continue;
+            }
+
+            const heading = Markdown.HEADING.exec(line);
+            if (heading) {
+                const element = document.createElement(`h${heading[1].length}`);
+                Markdown.renderInline(heading[2], element);
+                fragment.appendChild(element);
+                i++;
+                continue;
+            }
+
+            if (Markdown.RULE.test(line)) {
+                fragment.appendChild(document.createElement('hr'));
+                i++;
+                continue;
+            }
+
+            if (Markdown.QUOTE.test(line)) {
+                const quoted = [];
+                while (i < lines.length && Markdown.QUOTE.test(lines[i])) {
+                    quoted.push(Markdown.QUOTE.exec(lines[i])[1]);
+                    i++;
+                }
+                const blockquote = document.createElement('blockquote');
+                Markdown.renderLines(quoted, blockquote);
+                fragment.appendChild(blockquote);
+                continue;
+            }
+
+            if (Markdown.LIST_ITEM.test(line)) {
+                i = Markdown.renderList(lines, i, fragment);
+                continue;
+            }
+
+            const paragraph = [];
+            while (i < lines.length && lines[i].trim() && !Markdown.startsBlock(lines[i])) {
+                paragraph.push(lines[i].trim());
+                i++;
+            }
+            const element = document.createElement('p');
+            Markdown.renderLines(paragraph, element);
+            fragment.appendChild(element);
+        }
+
+        return fragment;
+    }
+
+    static startsBlock(line) {
+        return Markdown.FENCE.test(line) || Markdown.HEADING.test(line) || Markdown.RULE.test(line) ||
+            Markdown.QUOTE.test(line) || Markdown.LIST_ITEM.test(line);
+    }
+
+    // Renders consecutive list items starting at `start`, nesting deeper-indented items
+    // under the previous one. Returns the index of the first line after the list.
+    static renderList(lines, start, parent) {
+        const stack = [];
+        let i = start;
+
+        while (i < lines.length) {
+            const match = Markdown.LIST_ITEM.exec(lines[i]);
+            if (!match) break;
+
+            const indent = match[1].replace(/\t/g, '    ').length;
+            const ordered = /\d/.test(match[2]);
+
+            while (stack.length > 0 && indent < stack[stack.length - 1].indent) {
+                stack.pop();
+            }
+            let top = stack[stack.length - 1];
+            if (top && indent === top.indent && top.ordered !== ordered) {
+                stack.pop();
+                top = stack[stack.length - 1];
+            }
+            if (!top || indent > top.indent) {
+                const list = document.createElement(ordered ? 'ol' : 'ul');
+                if (ordered && parseInt(match[2], 10) !== 1) {
+                    list.start = parseInt(match[2], 10);
+                }
+                const container = top ? top.list.lastElementChild : parent;
+                (container || parent).appendChild(list);
+                top = { indent, ordered, list };
+                stack.push(top);
+            }
+
+            const item = document.createElement('li');
+            const task = Markdown.TASK.exec(match[3]);
+            if (task) {
+                item.className = 'task-item';
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = task[1] !== ' ';
+                checkbox.dataset.line = i;
+                item.appendChild(checkbox);
+                Markdown.renderInline(task[2], item);
+            } else {
+                Markdown.renderInline(match[3], item);
+            }
+            top.list.appendChild(item);
+            i++;
+        }
+
+        return i;
+    }
+
+    // Keeps the author's line breaks, since that is how plain text pins read
+    static renderLines(lines, parent) {
+        lines.forEach((line, index) => {
+            if (index > 0) parent.appendChild(document.createElement('br'));
+            Markdown.renderInline(line, parent);
+        });
+    }
+
+    static renderInline(text, parent) {
+        let rest = text;
+
+        while (rest) {
+            let best = null;
+            Markdown.INLINE.forEach(rule => {
+                const match = rule.pattern.exec(rest);
+                if (match && (!best || match.index < best.match.index)) {
+                    best = { rule, match };
+                }
+            });
+
+            if (!best) {
+                parent.appendChild(document.createTextNode(rest));
+                break;
+            }
+
+            const { rule, match } = best;
+            if (match.index > 0) {
+                parent.appendChild(document.createTextNode(rest.slice(0, match.index)));
+            }
+            parent.appendChild(Markdown.createInline(rule.tag, match));
+            rest = rest.slice(match.index + match[0].length);
+        }
+    }
+
+    static createInline(tag, match) {
+        switch (tag) {
+            case 'code': {
+                const code = document.createElement('code');
+                code.textContent = match[1];
+                return code;
+            }
+            case 'a':
+            case 'autolink': {
+                const href = Markdown.safeUrl(tag === 'a' ? match[2] : match[0]);
+                if (!href) {
+                    return document.createTextNode(match[1]);
+                }
+                const link = document.createElement('a');
+                link.href = href;
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+                if (tag === 'a') {
+                    Markdown.renderInline(match[1], link);
+                } else {
+                    link.textContent = match[0];
+                }
+                return link;
+            }
+            default: {
+                const element = document.createElement(tag);
+                Markdown.renderInline(match[1] ?? match[2], element);
+                return element;
+            }
+        }
+    }
+
+    // The URL if it is relative or uses an allowed scheme, otherwise null
+    static safeUrl(url) {
+        // Browsers ignore whitespace and control characters inside a scheme ("java\tscript:")
+        const normalized = url.replace(/[\u0000- \u007f]/g, '');
+        const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(normalized);
+        if (scheme && !SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase())) {
+            return null;
+        }
+        return normalized;
+    }
+
+    // Flips the checkbox of the task item on `lineIndex`
+    static toggleTask(source, lineIndex) {
+        const lines = source.split('\n');
+        const line = lines[lineIndex];
+        const marker = line === undefined ? null : Markdown.TASK_MARKER.exec(line);
+        if (!marker) return source;
+
+        const checked = marker[2] === ' ' ? 'x' : ' ';
+        lines[lineIndex] = `${marker[1]}[${checked}]${line.slice(marker[0].length)}`;
+        return lines.join('\n');
+    }
+
+    // Plain text with the Markdown syntax stripped, for image export
+    static toPlainText(source) {
+        let inFence = false;
+        return source.replace(/\r\n?/g, '\n').split('\n').map(line => {
+            if (Markdown.FENCE.test(line)) {
+                inFence = !inFence;
+                return null;
+            }
+            if (inFence) return line;
+            if (Markdown.RULE.test(line)) return '';
+
+            return line
+                .replace(/^\s*#{1,6}\s+(.*?)\s*#*\s*$/, '$1')
+                .replace(/^(\s*)>\s?/, '$1')
+                .replace(/^(\s*)[-*+]\s+\[([ xX])\]\s+/, (all, indent, mark) => `${indent}${mark === ' ' ? '☐' : '☑'} `)
+                .replace(/^(\s*)[-*+]\s+/, '$1• ')
+                .replace(/\[([^\]]+)\]\(\s*(?:[^()\s]|\([^()\s]*\))+\s*\)/g, '$1')
+                .replace(/`([^`]+)`/g, '$1')
+                .replace(/\*\*(.+?)\*\*|\b__(.+?)__\b/g, (all, a, b) => a ?? b)
+                .replace(/~~(.+?)~~/g, '$1')
+                .replace(/\*([^*\s](?:.*?[^*\s])?)\*|\b_([^_]+?)_\b/g, (all, a, b) => a ?? b);
+        }).filter(line => line !== null).join('\n');
+    }
+}
+
+// ===== Pin Types =====
+// Everything that differs between kinds of pin is declared by a pin type. Types are plain
+// objects registered by name; a separate <script> after app.js can register more (see
+// "Custom Pin Types" in README.md). Only `render` is required:
+//   toolbar          { label, icon, shortcut } for the toolbar button and key, if any
+//   color            swatch for the minimap
+//   width, height    size of a new pin; minWidth and minHeight limit resizing
+//   defaults()       the type's own fields on a new pin
+//   render(pin, content, renderer)       fills the pin's content element
+//   headerButtons(pin, renderer)         extra buttons for the pin header
+//   validate(pin, where)                 throws an Error naming `where` if a stored pin is invalid
+//   migrate(pin)     upgrades pins saved by an older version of the type
+//   serialize(pin), deserialize(pin)     convert to and from the board file form (may be async)
+//   searchText(pin)  [{ field, text }] searched by the search panel, which shows `field`
+//   toText(pin)      plain text for copying and descriptions
+//   layout(pin, box, theme, ops, exporter) draws the content for image export
+class PinTypes {
+    static types = new Map();
+    static listeners = new Set();
+
+    static DEFAULTS = {
+        toolbar: null,
+        color: '#94a3b8',
+        width: 300,
+        height: 200,
+        minWidth: 200,
+        minHeight: 100,
+        defaults: () => ({}),
+        headerButtons: () => [],
+        validate: () => {},
+        migrate: (pin) => pin,
+        serialize: (pin) => pin,
+        deserialize: (pin) => pin,
+        searchText: () => [],
+        toText: () => '',
+        layout: () => {}
+    };
+
+    static register(type, definition) {
+        if (typeof type !== 'string' || !/^[a-z][a-z0-9-]*$/.test(type)) {
+            throw new Error(`Pin type names must be lowercase words, not "${type}".`);
+        }
+        if (PinTypes.types.has(type)) {
+            throw new Error(`The pin type "${type}" is already registered.`);
+        }
+        if (!definition || typeof definition.render !== 'function') {
+            throw new Error(`The pin type "${type}" needs a render function.`);
+        }
+        const shortcut = definition.toolbar && definition.toolbar.shortcut;
+        if (shortcut && isReservedShortcut(shortcut)) {
+            throw new Error(`The shortcut "${shortcut}" is already used by the board.`);
+        }
+        if (shortcut && PinTypes.forShortcut(shortcut)) {
+            throw new Error(`The shortcut "${shortcut}" is already taken by the ${PinTypes.forShortcut(shortcut)} pin type.`);
+        }
+
+        PinTypes.types.set(type, { ...PinTypes.DEFAULTS, ...definition, type });
+        PinTypes.listeners.forEach(listener => listener(type));
+    }
+
+    // Called with the name of each type registered from now on
+    static subscribe(listener) {
+        PinTypes.listeners.add(listener);
+        return () => PinTypes.listeners.delete(listener);
+    }
+
+    // Pins of a type that is not registered (e.g. its script is missing) get null
+    static get(type) {
+        return PinTypes.types.get(type) || null;
+    }
+
+    static getAll() {
+        return Array.from(PinTypes.types.values());
+    }
+
+    static forShortcut(key) {
+        const definition = PinTypes.getAll().find(type => type.toolbar && type.toolbar.shortcut && type.toolbar.shortcut.toLowerCase() === key.toLowerCase());
+        return definition ? definition.type : null;
+    }
+
+    static create(type, x, y) {
+        const definition = PinTypes.get(type);
+        if (!definition) throw new Error(`Unknown pin type "${type}".`);
+        return {
+            id: `pin-${state.nextPinId++}`,
+            type,
+            x,
+            y,
+            width: definition.width,
+            height: definition.height,
+            ...definition.defaults(),
+            tags: [],
+            created: Date.now()
+        };
+    }
+
+    static migrate(pin) {
+        const definition = pin && typeof pin === 'object' ? PinTypes.get(pin.type) : null;
+        return definition ? definition.migrate(pin) : pin;
+    }
+
+    static serialize(pin) {
+        const definition = PinTypes.get(pin.type);
+        return definition ? definition.serialize(pin) : pin;
+    }
+
+    static deserialize(pin) {
+        const definition = PinTypes.get(pin.type);
+        return definition ? definition.deserialize(pin) : pin;
+    }
+
+    static searchText(pin) {
+        const definition = PinTypes.get(pin.type);
+        return definition ? definition.searchText(pin) : [];
+    }
+
+    static toText(pin) {
+        const definition = PinTypes.get(pin.type);
+        return definition ? definition.toText(pin) : '';
+    }
+
+    static minSize(pin) {
+        const definition = PinTypes.get(pin.type) || PinTypes.DEFAULTS;
+        return { width: definition.minWidth, height: definition.minHeight };
+    }
+}
+
+PinTypes.register('text', {
+    toolbar: {
+        label: 'Text Pin',
+        shortcut: 't',
+        icon: `
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z" />
+                <polyline points="14 2 14 8 20 8" />
+                <line x1="16" y1="13" x2="8" y2="13" />
+                <line x1="16" y1="17" x2="8" y2="17" />
+                <polyline points="10 9 9 9 8 9" />
+            </svg>
+        `
+    },
+    color: '#94a3b8',
+    width: 300,
+    height: 200,
+    defaults: () => ({ content: '' }),
+    render(pin, content, renderer) {
+        if (pin.markdown) {
+            content.classList.add('markdown-content');
+            content.appendChild(renderer.createMarkdownContent(pin));
+        } else {
+            content.appendChild(renderer.createTextContent(pin));
+        }
+    },
+    headerButtons: (pin, renderer) => [renderer.createMarkdownButton(pin)],
+    validate(pin, where) {
+        if (typeof pin.content !== 'string') {
+            throw new Error(`${where}.content must be a string.`);
+        }
+        if (pin.markdown !== undefined && typeof pin.markdown !== 'boolean') {
+            throw new Error(`${where}.markdown must be true or false.`);
+        }
+    },
+    searchText: (pin) => [{ field: 'text', text: pin.content || '' }],
+    toText: (pin) => pin.markdown ? Markdown.toPlainText(pin.content || '') : pin.content || '',
+    layout(pin, box, theme, ops, exporter) {
+        exporter.layoutText(PinTypes.toText(pin), box.x, box.y, box.width, box.bottom, theme, ops);
+    }
+});
+
+PinTypes.register('image', {
+    toolbar: {
+        label: 'Image Pin',
+        shortcut: 'i',
+        icon: `
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <rect x="3" y="3" width="18" height="18" rx="2" ry="2" />
+                <circle cx="8.5" cy="8.5" r="1.5" />
+                <polyline points="21 15 16 10 5 21" />
+            </svg>
+        `
+    },
+    color: '#3b82f6',
+    width: 300,
+    height: 300,
+    defaults: () => ({ imageId: null, imageWidth: 0, imageHeight: 0 }),
+    render(pin, content, renderer) {
+        content.classList.add('image-content');
+        content.appendChild(renderer.createImageContent(pin));
+    },
+    headerButtons: (pin, renderer) => pin.imageId ? renderer.createImageButtons(pin) : [],
+    validate(pin, where) {
+        if (pin.imageUrl !== null && !(typeof pin.imageUrl === 'string' && pin.imageUrl.startsWith('data:image/'))) {
+            throw new Error(`${where}.imageUrl must be null or an image data URL.`);
+        }
+        if (pin.fit !== undefined && !IMAGE_FITS.includes(pin.fit)) {
+            throw new Error(`${where}.fit must be one of ${IMAGE_FITS.join(', ')}.`);
+        }
+    },
+    // Files carry images inline as data URLs; in the app they are blobs referenced by imageId
+    async serialize(pin) {
+        const { imageId, ...rest } = pin;
+        return { ...rest, imageUrl: imageId ? await imageLibrary.getDataUrl(imageId) : null };
+    },
+    async deserialize(pin) {
+        const { imageUrl, ...rest } = pin;
+        return { ...rest, imageId: imageUrl ? await imageLibrary.add(dataUrlToBlob(imageUrl)) : null };
+    },
+    layout(pin, box, theme, ops) {
+        if (pin.imageId && pin.imageWidth) {
+            const frame = { x: box.x, y: box.y, width: box.width, height: box.bottom - ImageExporter.CONTENT_PADDING - box.y };
+            const rect = ImageProcessor.fitRect(pin.fit || 'contain', frame, pin.imageWidth, pin.imageHeight);
+            ops.push({ kind: 'clip', ...frame, radius: 8 });
+            ops.push({ kind: 'image', ...rect, imageId: pin.imageId, src: imageLibrary.getUrl(pin.imageId) });
+            ops.push({ kind: 'unclip' });
+        } else {
+            ops.push({ kind: 'rect', x: box.x, y: box.y, width: box.width, height: 200, radius: 8, fill: theme.placeholder, stroke: theme.border, dashed: true });
+        }
+    }
+});
+
+PinTypes.register('list', {
+    toolbar: {
+        label: 'List',
+        shortcut: 'l',
+        icon: `
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <line x1="8" y1="6" x2="21" y2="6" />
+                <line x1="8" y1="12" x2="21" y2="12" />
+                <line x1="8" y1="18" x2="21" y2="18" />
+                <line x1="3" y1="6" x2="3.01" y2="6" />
+                <line x1="3" y1="12" x2="3.01" y2="12" />
+                <line x1="3" y1="18" x2="3.01" y2="18" />
+            </svg>
+        `
+    },
+    color: '#22c55e',
+    width: 300,
+    height: 250,
+    defaults: () => ({ items: [] }),
+    render(pin, content, renderer) {
+        content.appendChild(renderer.createListContent(pin));
+    },
+    validate(pin, where) {
+        if (!Array.isArray(pin.items) || !pin.items.every(item =>
+            item && typeof item.text === 'string' && typeof item.completed === 'boolean')) {
+            throw new Error(`${where}.items must be an array of { text, completed }.`);
+        }
+    },
+    searchText: (pin) => (pin.items || []).map(item => ({ field: 'item', text: item.text })),
+    toText: (pin) => (pin.items || []).map(item => `- [${item.completed ? 'x' : ' '}] ${item.text}`).join('\n'),
+    layout(pin, box, theme, ops, exporter) {
+        exporter.layoutList(pin.items || [], box.x, box.y, box.width, theme, ops);
+    }
+});
+
+PinTypes.register('sketch', {
+    toolbar: {
+        label: 'Sketch',
+        shortcut: 's',
+        icon: `
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M12 19l7-7 3 3-7 7-3-3z" />
+                <path d="M18 13l-1.5-7.5L2 2l3.5 14.5L13 18l5-5z" />
+                <path d="M2 2l7.586 7.586" />
+                <circle cx="11" cy="11" r="2" />
+            </svg>
+        `
+    },
+    color: '#f97316',
+    width: 400,
+    height: 300,
+    defaults: () => ({ strokes: [] }),
+    render(pin, content, renderer) {
+        content.classList.add('sketch-content');
+        content.appendChild(renderer.createSketchContent(pin));
+    },
+    validate(pin, where) {
+        if (!Array.isArray(pin.strokes)) {
+            throw new Error(`${where}.strokes must be an array.`);
+        }
+        pin.strokes.forEach((stroke, index) => BoardFile.validateStroke(stroke, `${where}.strokes[${index}]`));
+    },
+    layout(pin, box, theme, ops) {
+        (pin.strokes || []).forEach(stroke => ops.push({
+            kind: 'path',
+            d: SketchGeometry.outline(stroke, box.x, box.y),
+            fill: stroke.color,
+            opacity: stroke.tool === 'highlighter' ? SketchGeometry.HIGHLIGHTER_OPACITY : 1
+        }));
+    }
+});
+
+// Frames also get their own header, grouping and collapsing from BoardRenderer
+PinTypes.register('frame', {
+    toolbar: {
+        label: 'Frame',
+        shortcut: 'f',
+        icon: `
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <rect x="3" y="3" width="18" height="18" rx="2" stroke-dasharray="4 2" />
+                <line x1="3" y1="8" x2="21" y2="8" />
+            </svg>
+        `
+    },
+    color: '#8b5cf6',
+    width: 600,
+    height: 400,
+    defaults: () => ({ title: 'Frame', collapsed: false }),
+    render(pin, content) {
+        content.classList.add('frame-content');
+    },
+    validate(pin, where) {
+        if (typeof pin.title !== 'string') {
+            throw new Error(`${where}.title must be a string.`);
+        }
+        if (pin.collapsed !== undefined && typeof pin.collapsed !== 'boolean') {
+            throw new Error(`${where}.collapsed must be true or false.`);
+        }
+    },
+    searchText: (pin) => [{ field: 'frame', text: pin.title }],
+    toText: (pin) => pin.title
+});
+
+// ===== Pin Factory =====
+class PinFactory {
+    static createTextPin(x, y) {
+        return PinTypes.create('text', x, y);
+    }
+
+    static createImagePin(x, y) {
+        return PinTypes.create('image', x, y);
+    }
+
+    // Pin fields for an image stored by ImageLibrary.addFile
+    static imageFields(image) {
+        return {
+            imageId: image.imageId,
+            imageWidth: image.width,
+            imageHeight: image.height,
+            width: Math.max(300, Math.min(600, image.width)),
+            height: Math.max(200, Math.min(600, image.height))
+        };
+    }
+
+    static createListPin(x, y) {
+        return PinTypes.create('list', x, y);
+    }
+
+    static createSketchPin(x, y) {
+        return PinTypes.create('sketch', x, y);
+    }
+
+    static createFramePin(x, y) {
+        return PinTypes.create('frame', x, y);
+    }
+
+    static createConnector(from, to) {
+        return {
+            id: `connector-${state.nextConnectorId++}`,
+            from,
+            to,
+            label: '',
+            startHead: 'none',
+            endHead: 'triangle',
+            routing: 'straight'
+        };
+    }
+
+    // `pinIds` maps original pin ids to their copies
+    static duplicateConnector(connector, pinIds) {
+        return {
+            ...cloneValue(connector),
+            id: `connector-${state.nextConnectorId++}`,
+            from: pinIds.get(connector.from),
+            to: pinIds.get(connector.to)
+        };
+    }
+
+    // Copies stay in a frame only if the frame was copied along with them. `pinIds` maps
+    // original pin ids to their copies.
+    static relinkFrames(copies, pinIds) {
+        copies.forEach(copy => {
+            if (copy.frameId) copy.frameId = pinIds.get(copy.frameId) || null;
+        });
+    }
+
+    // Copies start out unlocked so they can be moved off the original
+    static duplicatePin(pin, dx, dy = dx) {
+        const copy = {
+            ...cloneValue(pin),
+            id: `pin-${state.nextPinId++}`,
+            x: pin.x + dx,
+            y: pin.y + dy,
+            created: Date.now()
+        };
+        delete copy.locked;
+        return copy;
+    }
+}
+
+// ===== Board Renderer =====
+// A touch held this long without moving more than LONG_PRESS_SLOP pixels opens the pin menu
+const LONG_PRESS_DELAY = 500;
+const LONG_PRESS_SLOP = 10;
+// Height of a collapsed frame, which shows only its header
+const FRAME_COLLAPSED_HEIGHT = 42;
+// Undo labels for the pin menu's stacking actions
+const ARRANGE_LABELS = {
+    front: 'bring to front',
+    forward: 'bring forward',
+    backward: 'send backward',
+    back: 'send to back'
+};
+// Colors offered in the tag menu
+const TAG_COLORS = ['#ef4444', '#f97316', '#eab308', '#22c55e', '#14b8a6', '#3b82f6', '#8b5cf6', '#ec4899'];
+// Only pins within this fraction of the view's size beyond its edges have elements
+const VIEWPORT_MARGIN = 0.5;
+// Pin fields that are patched onto an element without rebuilding its contents
+const PIN_GEOMETRY_KEYS = ['x', 'y', 'width', 'height', 'z', 'frameId'];
+
+class BoardRenderer {
+    constructor() {
+        this.canvas = document.getElementById('canvas');
+        this.selectedPins = new Set();
+        this.selectedConnector = null;
+        // Set when a header drag actually moved pins, so the click that ends it doesn't change the selection
+        this.dragMoved = false;
+        // { from, line, target } while a connector is being dragged out of a pin's connect handle
+        this.connecting = null;
+        this.connectorLayer = createSvgElement('svg', { class: 'connector-layer' });
+        // Where pins deleted or moved since a snapshot being compared are drawn
+        this.diffLayer = document.createElement('div');
+        this.diffLayer.className = 'diff-layer';
+        this.sketchSettings = { tool: 'pen', color: '#8b5cf6', width: 4 };
+        // { pinId, box, busy } while an image pin is in crop mode; box is a fraction of the image
+        this.cropping = null;
+        this.cropObserver = null;
+        this.pinMenu = document.getElementById('pinMenu');
+        this.tagMenu = document.getElementById('tagMenu');
+        // The tag the tag menu was opened for
+        this.menuTag = null;
+        // The part of the board, in board coordinates, whose pins and connectors are rendered
+        this.renderRegion = null;
+        this.viewportFrame = null;
+        // What each pin element's contents were built from, so unchanged contents are kept
+        this.pinSignatures = new WeakMap();
+        // The header drag or resize in progress: { kind: 'drag' | 'resize', pointerId, ids, ... }
+        this.interaction = null;
+        // A touch or pen press that opens the pin menu if held: { pinId, x, y, timer }
+        this.press = null;
+        this.canvas.prepend(this.connectorLayer, this.diffLayer);
+        window.addEventListener('resize', () => this.scheduleViewportUpdate());
+        this.attachPinEvents();
+        this.attachConnectorEvents();
+        this.attachPinMenuEvents();
+        this.attachTagMenuEvents();
+    }
+
+    // Brings the canvas in line with the board: shown pins in and around the view are rendered,
+    // patching the elements already there, and every other pin element is dropped
+    renderAllPins() {
+        this.renderRegion = this.getRenderRegion();
+        const pins = state.getFilteredPins().filter(pin => this.isInRenderRegion(pin));
+        const ids = new Set(pins.map(pin => pin.id));
+        this.getPinElements().forEach(element => {
+            if (!ids.has(element.id)) element.remove();
+        });
+        pins.sort(BoardState.compareStacking).forEach(pin => this.renderPin(pin));
+        this.renderConnectors();
+        this.pruneSelection();
+        // The tag and frame filters change what the minimap shows without changing the board
+        if (minimap) minimap.scheduleDraw();
+    }
+
+    // Creates the pin's element, or patches the one on the canvas. Its contents are only rebuilt
+    // when the pin has changed in more than position, size and stacking.
+    renderPin(pin) {
+        let pinElement = document.getElementById(pin.id);
+        const focus = this.captureFocus(pinElement);
+        if (!pinElement) {
+            pinElement = document.createElement('div');
+            pinElement.className = 'pin';
+            pinElement.id = pin.id;
+            pinElement.tabIndex = 0;
+        }
+
+        const bounds = pinBounds(pin);
+        pinElement.classList.toggle('selected', this.selectedPins.has(pin.id));
+        pinElement.classList.toggle('locked', Boolean(pin.locked));
+        pinElement.classList.toggle('frame', pin.type === 'frame');
+        pinElement.classList.toggle('collapsed', pin.type === 'frame' && Boolean(pin.collapsed));
+        pinElement.setAttribute('aria-label', pin.type === 'frame' ? `frame ${pin.title}` : `${pin.type} pin`);
+        pinElement.style.left = `${bounds.x}px`;
+        pinElement.style.top = `${bounds.y}px`;
+        pinElement.style.width = `${bounds.width}px`;
+        pinElement.style.height = `${bounds.height}px`;
+
+        const signature = this.getPinSignature(pin);
+        const rebuild = this.pinSignatures.get(pinElement) !== signature;
+        if (rebuild) {
+            const resizeHandle = document.createElement('div');
+            resizeHandle.className = 'resize-handle';
+
+            const connectHandle = document.createElement('div');
+            connectHandle.className = 'connect-handle';
+            connectHandle.title = 'Drag to another pin to connect';
+
+            pinElement.replaceChildren(this.createPinHeader(pin), this.createPinContent(pin), resizeHandle, connectHandle);
+            this.pinSignatures.set(pinElement, signature);
+        }
+        if (!pinElement.isConnected || !this.isStackedInPlace(pinElement, pin)) {
+            pinElement.remove();
+            this.placePin(pinElement, pin);
+        }
+
+        if (focus && !pinElement.contains(document.activeElement)) this.restoreFocus(pinElement, focus);
+        if (rebuild && this.isCropping(pin.id)) this.layoutCrop(pinElement, pin);
+        this.decoratePin(pinElement);
+        return pinElement;
+    }
+
+    // Everything a pin's contents are built from, which excludes where it sits
+    getPinSignature(pin) {
+        const fields = Object.fromEntries(Object.entries(pin).filter(([key]) => !PIN_GEOMETRY_KEYS.includes(key)));
+        const tagColors = (pin.tags || []).map(tag => state.getTagColor(tag));
+        // An image that arrives from another tab or person after the pin was drawn changes its URL
+        const imageUrl = pin.imageId ? imageLibrary.getUrl(pin.imageId) : null;
+        return JSON.stringify([fields, tagColors, imageUrl, this.isCropping(pin.id)]);
+    }
+
+    // Marks that other features keep on pin elements
+    decoratePin(pinElement) {
+        if (collaboration) collaboration.decoratePin(pinElement);
+        if (compareController) compareController.decoratePin(pinElement);
+        if (searchController) searchController.decoratePin(pinElement);
+    }
+
+    getPinElements() {
+        return Array.from(this.canvas.querySelectorAll(':scope > .pin'));
+    }
+
+    // The pin's element, rendering it first if the pin is shown but out of view
+    getPinElement(id) {
+        const element = document.getElementById(id);
+        if (element || !this.isPinShown(id)) return element;
+        return this.renderPin(state.getPin(id));
+    }
+
+    // Whether the pin exists and passes the tag and frame filters, whether or not it is in view
+    isPinShown(id) {
+        const pin = state.getPin(id);
+        return Boolean(pin) && state.matchesFilter(pin);
+    }
+
+    // Re-rendering a pin (after an undo, or a change from another tab) must not throw
+    // the user out of the pin or the field they are typing in
+    captureFocus(pinElement) {
+        const active = document.activeElement;
+        if (!pinElement || !active || !pinElement.contains(active)) return null;
+        if (active === pinElement) return { pin: true };
+
+        const fields = Array.from(pinElement.querySelectorAll('textarea, input'));
+        const index = fields.indexOf(active);
+        return index === -1 ? { pin: true } : { index, start: active.selectionStart, end: active.selectionEnd };
+    }
+
+    restoreFocus(pinElement, focus) {
+        if (!focus) return;
+        if (focus.pin) {
+            pinElement.focus({ preventScroll: true });
+            return;
+        }
+
+        const field = pinElement.querySelectorAll('textarea, input')[focus.index];
+        if (!field) return;
+        if (field.hidden) {
+            // A Markdown pin shows its rendered view until it is edited
+            this.editPin(pinElement.id);
+        } else {
+            field.focus({ preventScroll: true });
+        }
+        if (typeof focus.start === 'number' && field.setSelectionRange) {
+            const length = field.value.length;
+            field.setSelectionRange(Math.min(focus.start, length), Math.min(focus.end, length));
+        }
+    }
+
+    // Pins stack on screen in DOM order, so an element goes in below the first rendered pin
+    // that is stacked above it
+    placePin(pinElement, pin) {
+        let next = null;
+        for (let element = this.canvas.lastElementChild; element; element = element.previousElementSibling) {
+            const other = element.classList.contains('pin') ? state.getPin(element.id) : null;
+            if (!other) continue;
+            if (BoardState.compareStacking(other, pin) < 0) break;
+            next = element;
+        }
+        this.canvas.insertBefore(pinElement, next);
+    }
+
+    // Whether the element sits between the rendered pins stacked just below and above it
+    isStackedInPlace(pinElement, pin) {
+        const neighbor = (direction) => {
+            for (let element = pinElement[direction]; element; element = element[direction]) {
+                if (element.classList.contains('pin')) return state.getPin(element.id) || null;
+            }
+            return null;
+        };
+        const below = neighbor('previousElementSibling');
+        const above = neighbor('nextElementSibling');
+        return (!below || BoardState.compareStacking(below, pin) < 0) &&
+            (!above || BoardState.compareStacking(pin, above) < 0);
+    }
+
+    // Moves only the pin elements that are out of stacking order, since a moved element
+    // loses focus and replays its entrance animation
+    sortPinElements() {
+        const active = document.activeElement && document.activeElement.closest
+            ? document.activeElement.closest('.pin')
+            : null;
+        const focus = this.captureFocus(active);
+
+        let previous = null;
+        state.getStackedPins().forEach(pin => {
+            const element = document.getElementById(pin.id);
+            if (!element) return;
+            if (previous ? previous.nextElementSibling !== element : element !== this.canvas.querySelector('.pin')) {
+                if (previous) {
+                    previous.after(element);
+                } else {
+                    this.canvas.insertBefore(element, this.canvas.querySelector('.pin'));
+                }
+            }
+            previous = element;
+        });
+
+        if (active && active.isConnected) this.restoreFocus(active, focus);
+    }
+
+    // Re-renders the given pins, removing any that were deleted, are filtered out or left the view
+    refreshPins(ids) {
+        ids = this.withFrameChildren(ids);
+        ids.forEach(id => {
+            const pin = state.getPin(id);
+            if (pin && state.matchesFilter(pin) && this.isInRenderRegion(pin)) {
+                this.renderPin(pin);
+            } else {
+                const element = document.getElementById(id);
+                if (element) element.remove();
+            }
+        });
+        // Re-rendering several pins one at a time can leave them out of order among themselves
+        if (ids.length > 1) this.sortPinElements();
+        // Moved, resized or removed pins change connector paths
+        this.renderConnectors();
+        this.pruneSelection();
+        // Changes from other tabs and people don't reach the minimap's subscription
+        if (minimap) minimap.scheduleDraw();
+    }
+
+    // Whether a frame's children show depends on the frame, so a changed or deleted frame
+    // (e.g. collapsed by undo or by someone else) brings its children along
+    withFrameChildren(ids) {
+        const frameIds = new Set(ids.filter(id => {
+            const pin = state.getPin(id);
+            return !pin || pin.type === 'frame';
+        }));
+        if (frameIds.size === 0) return ids;
+        const children = state.getAllPins().filter(pin => pin.type !== 'frame' && frameIds.has(pin.frameId));
+        return Array.from(new Set([...ids, ...children.map(pin => pin.id)]));
+    }
+
+    // ===== Viewport =====
+    // The view plus a margin on every side, so pins are in place before they scroll in
+    getRenderRegion() {
+        const view = canvasController.getViewport();
+        return {
+            x: view.x - view.width * VIEWPORT_MARGIN,
+            y: view.y - view.height * VIEWPORT_MARGIN,
+            width: view.width * (1 + VIEWPORT_MARGIN * 2),
+            height: view.height * (1 + VIEWPORT_MARGIN * 2)
+        };
+    }
+
+    // Pins outside the region keep their element while they have focus or are being dragged,
+    // resized or cropped
+    isInRenderRegion(pin) {
+        if (!this.renderRegion || rectsIntersect(pinBounds(pin), this.renderRegion)) return true;
+        if (this.isCropping(pin.id) || (this.interaction && this.interaction.ids.has(pin.id))) return true;
+        const element = document.getElementById(pin.id);
+        return Boolean(element) && element.contains(document.activeElement);
+    }
+
+    scheduleViewportUpdate() {
+        if (this.viewportFrame) return;
+        this.viewportFrame = requestAnimationFrame(() => {
+            this.viewportFrame = null;
+            this.updateViewport();
+        });
+    }
+
+    // Follows panning and zooming. Nothing changes until the view nears the edge of the rendered
+    // region, or zooms in far enough to leave most of it unseen; then pins and connectors are
+    // added and dropped around the new view.
+    updateViewport() {
+        const region = this.renderRegion;
+        const next = this.getRenderRegion();
+        if (region && rectContains(region, canvasController.getViewport()) && region.width <= next.width * 2) return;
+
+        this.renderRegion = next;
+        const rendered = new Set();
+        this.getPinElements().forEach(element => {
+            const pin = state.getPin(element.id);
+            if (pin && this.isInRenderRegion(pin)) {
+                rendered.add(pin.id);
+            } else {
+                element.remove();
+            }
+        });
+        state.getFilteredPins()
+            .filter(pin => !rendered.has(pin.id) && this.isInRenderRegion(pin))
+            .sort(BoardState.compareStacking)
+            // Pins coming into view appear without the entrance animation
+            .forEach(pin => this.renderPin(pin).classList.add('scrolled-in'));
+        this.renderConnectors();
+    }
+
+    // ===== Connectors =====
+    renderConnectors() {
+        this.connectorLayer.querySelectorAll('.connector').forEach(element => element.remove());
+        state.getAllConnectors().forEach(connector => this.renderConnector(connector));
+    }
+
+    renderConnector(connector) {
+        const existingElement = document.getElementById(connector.id);
+        if (existingElement) {
+            existingElement.remove();
+        }
+
+        // Connectors to pins hidden by the tag filter are hidden too
+        const fromRect = this.getPinRect(connector.from);
+        const toRect = this.getPinRect(connector.to);
+        if (!fromRect || !toRect) return;
+
+        const route = ConnectorGeometry.route(connector, fromRect, toRect);
+        const extent = boundingBox(route.points.map(point => ({ ...point, width: 0, height: 0 })));
+        if (this.renderRegion && !rectsIntersect(extent, this.renderRegion) && connector.id !== this.selectedConnector) return;
+        const points = formatPoints(route.points);
+
+        const group = createSvgElement('g', {
+            id: connector.id,
+            class: connector.id === this.selectedConnector ? 'connector selected' : 'connector'
+        });
+        group.appendChild(createSvgElement('polyline', { class: 'connector-hit', points }));
+        group.appendChild(createSvgElement('polyline', { class: 'connector-line', points }));
+
+        route.heads.forEach(head => {
+            group.appendChild(head.kind === 'circle'
+                ? createSvgElement('circle', { class: 'connector-head', cx: head.x, cy: head.y, r: head.r })
+                : createSvgElement(head.kind, { class: `connector-head ${head.kind}`, points: formatPoints(head.points) }));
+        });
+
+        if (connector.label) {
+            const label = createSvgElement('text', { class: 'connector-label', x: route.labelAt.x, y: route.labelAt.y });
+            label.textContent = connector.label;
+            group.appendChild(label);
+        }
+
+        group.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.selectConnector(connector.id);
+        });
+        group.addEventListener('dblclick', (e) => {
+            e.stopPropagation();
+            toolbarController.showConnectorModal(connector.id);
+        });
+
+        this.connectorLayer.appendChild(group);
+    }
+
+    // Re-routes the connectors attached to pins while they are dragged or resized
+    updateConnectorsFor(pinIds) {
+        state.getConnectorsForPins(pinIds).forEach(connector => this.renderConnector(connector));
+    }
+
+    // Reads the rendered rectangle so connectors follow pins mid-drag, before the state is updated.
+    // Pins out of view are read from the state, and pins filtered out have none.
+    getPinRect(id) {
+        const element = document.getElementById(id);
+        if (!element || !element.classList.contains('pin')) {
+            return this.isPinShown(id) ? pinBounds(state.getPin(id)) : null;
+        }
+
+        return {
+            x: parseFloat(element.style.left),
+            y: parseFloat(element.style.top),
+            width: parseFloat(element.style.width),
+            height: parseFloat(element.style.height)
+        };
+    }
+
+    // Topmost rendered pin containing a board point
+    pinAt(point) {
+        const element = Array.from(this.canvas.querySelectorAll('.pin')).reverse().find(pinElement => {
+            const rect = this.getPinRect(pinElement.id);
+            return point.x >= rect.x && point.x <= rect.x + rect.width &&
+                point.y >= rect.y && point.y <= rect.y + rect.height;
+        });
+        return element ? element.id : null;
+    }
+
+    startConnecting(pinId, pointerId) {
+        const center = ConnectorGeometry.center(this.getPinRect(pinId));
+        const line = createSvgElement('line', {
+            class: 'connector-draft',
+            x1: center.x, y1: center.y, x2: center.x, y2: center.y
+        });
+        this.connectorLayer.appendChild(line);
+        this.connecting = { from: pinId, pointerId, line, target: null };
+    }
+
+    attachConnectorEvents() {
+        document.addEventListener('pointermove', (e) => {
+            if (!this.connecting || e.pointerId !== this.connecting.pointerId) return;
+            if (canvasController.pinch) {
+                this.connecting.line.remove();
+                this.clearConnectTarget();
+                this.connecting = null;
+                return;
+            }
+
+            const point = canvasController.toBoardPoint(e.clientX, e.clientY);
+            this.connecting.line.setAttribute('x2', point.x);
+            this.connecting.line.setAttribute('y2', point.y);
+
+            const target = this.pinAt(point);
+            if (target !== this.connecting.target) {
+                this.clearConnectTarget();
+                if (target && target !== this.connecting.from) {
+                    document.getElementById(target).classList.add('connect-target');
+                }
+                this.connecting.target = target;
+            }
+        });
+
+        const finish = (e) => {
+            if (!this.connecting || e.pointerId !== this.connecting.pointerId) return;
+
+            const { from, line, target } = this.connecting;
+            this.connecting = null;
+            line.remove();
+            this.clearConnectTarget();
+
+            if (target && target !== from && e.type === 'pointerup') {
+                this.connectPins(from, target);
+            }
+        };
+        document.addEventListener('pointerup', finish);
+        document.addEventListener('pointercancel', finish);
+    }
+
+    clearConnectTarget() {
+        this.canvas.querySelectorAll('.pin.connect-target').forEach(element => element.classList.remove('connect-target'));
+    }
+
+    connectPins(from, to) {
+        const existing = state.getAllConnectors().find(connector => connector.from === from && connector.to === to);
+        if (existing) {
+            this.selectConnector(existing.id);
+            return;
+        }
+
+        const connector = PinFactory.createConnector(from, to);
+        state.addConnector(connector);
+        this.renderConnector(connector);
+        this.selectConnector(connector.id);
+    }
+
+    // ===== Selection =====
+    // Pins and connectors are never selected at the same time
+    setSelection(ids) {
+        this.selectedPins = new Set(ids);
+        this.selectedConnector = null;
+        this.canvas.querySelectorAll('.pin').forEach(element => {
+            element.classList.toggle('selected', this.selectedPins.has(element.id));
+        });
+        this.updateConnectorSelection();
+        this.updateSelectionBar();
+        if (collaboration) collaboration.schedulePresence();
+        // The minimap draws selected pins brighter
+        if (minimap) minimap.scheduleDraw();
+    }
+
+    selectConnector(id) {
+        this.setSelection([]);
+        this.selectedConnector = id;
+        this.updateConnectorSelection();
+    }
+
+    updateConnectorSelection() {
+        this.connectorLayer.querySelectorAll('.connector').forEach(element => {
+            element.classList.toggle('selected', element.id === this.selectedConnector);
+        });
+    }
+
+    toggleSelection(id) {
+        const ids = new Set(this.selectedPins);
+        if (ids.has(id)) {
+            ids.delete(id);
+        } else {
+            ids.add(id);
+        }
+        this.setSelection(ids);
+    }
+
+    clearSelection() {
+        this.setSelection([]);
+    }
+
+    // Drops selected pins and connectors that were deleted or filtered out
+    pruneSelection() {
+        this.selectedPins.forEach(id => {
+            if (!this.isPinShown(id)) this.selectedPins.delete(id);
+        });
+        const connector = this.selectedConnector && state.getConnector(this.selectedConnector);
+        if (this.selectedConnector && !(connector && this.isPinShown(connector.from) && this.isPinShown(connector.to))) {
+            this.selectedConnector = null;
+        }
+        this.updateSelectionBar();
+    }
+
+    getSelectedPins() {
+        return Array.from(this.selectedPins).map(id => state.getPin(id)).filter(Boolean);
+    }
+
+    updateSelectionBar() {
+        document.getElementById('selectionBar').classList.toggle('active', this.selectedPins.size > 1);
+        document.getElementById('selectionCount').textContent = `${this.selectedPins.size} selected`;
+    }
+
+    deleteSelection() {
+        if (this.selectedConnector) {
+            state.deleteConnector(this.selectedConnector);
+            this.renderConnectors();
+            this.pruneSelection();
+            return;
+        }
+
+        if (this.selectedPins.size === 0) return;
+        const ids = Array.from(this.selectedPins).filter(id => !this.isLocked(id));
+        if (ids.length < this.selectedPins.size) {
+            showToast(ids.length === 0
+                ? 'Locked pins can\'t be deleted. Unlock them first.'
+                : 'Locked pins were left in place.', { key: 'locked' });
+        }
+        if (ids.length === 0) return;
+
+        if (confirm(ids.length === 1 ? 'Delete this pin?' : `Delete ${ids.length} pins?`)) {
+            state.deletePins(ids);
+            this.refreshPins(ids);
+        }
+    }
+
+    tagSelection() {
+        const selected = this.getSelectedPins();
+        const pins = selected.filter(pin => !pin.locked);
+        if (pins.length < selected.length) {
+            showToast(pins.length === 0
+                ? 'Locked pins can\'t be tagged. Unlock them first.'
+                : 'Locked pins were left untagged.', { key: 'locked' });
+        }
+        if (pins.length === 0) return;
+        if (selected.length === 1) {
+            this.addTag(pins[0].id);
+            return;
+        }
+
+        tagEditor.openForPins(pins.map(pin => pin.id), document.getElementById('tagSelection'));
+    }
+
+    // Duplicating a frame duplicates its pins too
+    duplicateSelection() {
+        const pins = state.withFrameContents(this.getSelectedPins());
+        if (pins.length === 0) return;
+
+        // Connectors between duplicated pins are copied along with them
+        const pinIds = new Map();
+        const copies = pins.map(pin => {
+            const copy = PinFactory.duplicatePin(pin, 20);
+            pinIds.set(pin.id, copy.id);
+            return copy;
+        });
+        PinFactory.relinkFrames(copies, pinIds);
+        const connectors = state.getAllConnectors()
+            .filter(connector => pinIds.has(connector.from) && pinIds.has(connector.to))
+            .map(connector => PinFactory.duplicateConnector(connector, pinIds));
+
+        state.addPins(copies, Commands.groupLabel('duplicate', copies.length), connectors);
+        copies.filter(pin => state.matchesFilter(pin)).forEach(pin => this.renderPin(pin));
+        connectors.forEach(connector => this.renderConnector(connector));
+        this.setSelection(copies.filter(pin => state.matchesFilter(pin)).map(pin => pin.id));
+    }
+
+    // ===== Stacking and locking =====
+    // Moves the selection up or down the stack as a group, keeping its own order. Forward and
+    // backward step past the nearest pin that overlaps the selection, since stepping past one
+    // elsewhere on the board would change nothing visible.
+    arrangeSelection(where) {
+        const order = state.getStackedPins();
+        const moving = order.filter(pin => this.selectedPins.has(pin.id));
+        if (moving.length === 0) return;
+
+        const rest = order.filter(pin => !this.selectedPins.has(pin.id));
+        const overlapsSelection = pin => moving.some(other => rectsIntersect(pin, other));
+        let index;
+        switch (where) {
+            case 'front':
+                index = rest.length;
+                break;
+            case 'back':
+                index = 0;
+                break;
+            case 'forward': {
+                const above = order.slice(order.indexOf(moving[moving.length - 1]) + 1).find(overlapsSelection);
+                if (!above) return;
+                index = rest.indexOf(above) + 1;
+                break;
+            }
+            case 'backward': {
+                const below = order.slice(0, order.indexOf(moving[0])).reverse().find(overlapsSelection);
+                if (!below) return;
+                index = rest.indexOf(below);
+                break;
+            }
+        }
+
+        state.restack([...rest.slice(0, index), ...moving, ...rest.slice(index)],
+            Commands.groupLabel(ARRANGE_LABELS[where], moving.length));
+        this.sortPinElements();
+    }
+
+    isLocked(pinId) {
+        const pin = state.getPin(pinId);
+        return Boolean(pin && pin.locked);
+    }
+
+    // Locks the selection, or unlocks it when every selected pin is already locked
+    toggleLockSelection() {
+        const pins = this.getSelectedPins();
+        if (pins.length === 0) return;
+        this.setLocked(pins.map(pin => pin.id), !pins.every(pin => pin.locked));
+    }
+
+    setLocked(ids, locked) {
+        const changed = ids.filter(id => state.getPin(id) && this.isLocked(id) !== locked);
+        if (changed.length === 0) return;
+
+        if (locked && this.cropping && changed.includes(this.cropping.pinId)) this.endCrop();
+        state.updatePins(new Map(changed.map(id => [id, { locked }])), {
+            label: Commands.groupLabel(locked ? 'lock' : 'unlock', changed.length)
+        });
+        this.refreshPins(changed);
+    }
+
+    // ===== Frames =====
+    toggleFrame(frameId) {
+        const frame = state.getPin(frameId);
+        if (!frame) return;
+        state.updatePin(frameId, { collapsed: !frame.collapsed });
+        this.refreshPins([frameId, ...state.getFrameChildren(frameId).map(pin => pin.id)]);
+    }
+
+    renameFrame(frameId) {
+        const frame = state.getPin(frameId);
+        if (!frame || frame.locked) return;
+        const title = prompt('Frame title:', frame.title);
+        if (title !== null && title.trim()) {
+            state.updatePin(frameId, { title: title.trim() });
+            this.renderPin(state.getPin(frameId));
+            this.renderTagList();
+        }
+    }
+
+    // The frame each moved pin now sits in, as `frameId` updates merged into `moves`. Pins
+    // carried along by their own frame keep it.
+    assignFrames(moves, group) {
+        const movingFrames = new Set(group.filter(item => item.pin.type === 'frame').map(item => item.pin.id));
+        group.forEach(item => {
+            const pin = item.pin;
+            const move = moves.get(pin.id);
+            if (!move || pin.type === 'frame' || movingFrames.has(pin.frameId)) return;
+
+            const frame = state.frameAt({ ...pin, ...move }, movingFrames);
+            const frameId = frame ? frame.id : null;
+            if (frameId !== (pin.frameId || null)) move.frameId = frameId;
+        });
+    }
+
+    createPinHeader(pin) {
+        const header = document.createElement('div');
+        header.className = 'pin-header';
+
+        if (pin.type === 'frame') {
+            const collapseBtn = document.createElement('button');
+            collapseBtn.className = 'pin-btn frame-collapse';
+            collapseBtn.title = pin.collapsed ? 'Expand frame' : 'Collapse frame';
+            collapseBtn.textContent = pin.collapsed ? '▸' : '▾';
+            collapseBtn.onclick = (e) => {
+                e.stopPropagation();
+                this.toggleFrame(pin.id);
+            };
+            header.appendChild(collapseBtn);
+
+            const title = document.createElement('span');
+            title.className = 'frame-title';
+            title.textContent = pin.title;
+            title.title = 'Double-click to rename';
+            title.ondblclick = (e) => {
+                e.stopPropagation();
+                this.renameFrame(pin.id);
+            };
+            header.appendChild(title);
+        }
+
+        // Tags
+        const tagsContainer = document.createElement('div');
+        tagsContainer.className = 'pin-tags';
+
+        if (pin.tags && pin.tags.length > 0) {
+            pin.tags.forEach(tag => {
+                const tagElement = document.createElement('span');
+                tagElement.className = 'pin-tag';
+                tagElement.textContent = tag;
+                this.applyTagColor(tagElement, tag);
+
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'pin-tag-remove';
+                removeBtn.title = `Remove tag "${tag}"`;
+                removeBtn.textContent = '×';
+                removeBtn.onclick = (e) => {
+                    e.stopPropagation();
+                    this.removeTag(pin.id, tag);
+                };
+                tagElement.appendChild(removeBtn);
+                tagsContainer.appendChild(tagElement);
+            });
+        }
+
+        // Add tag button
+        const addTagBtn = document.createElement('button');
+        addTagBtn.className = 'pin-btn add-tag';
+        addTagBtn.title = 'Add tag';
+        addTagBtn.innerHTML = `
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <line x1="12" y1="5" x2="12" y2="19"/>
+                <line x1="5" y1="12" x2="19" y2="12"/>
+            </svg>
+        `;
+        addTagBtn.onclick = (e) => {
+            e.stopPropagation();
+            this.addTag(pin.id);
+        };
+        tagsContainer.appendChild(addTagBtn);
+
+        header.appendChild(tagsContainer);
+
+        // Actions
+        const actions = document.createElement('div');
+        actions.className = 'pin-actions';
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'pin-btn delete';
+        deleteBtn.innerHTML = `
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <polyline points="3 6 5 6 21 6"/>
+                <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
+            </svg>
+        `;
+        deleteBtn.onclick = (e) => {
+            e.stopPropagation();
+            this.deletePin(pin.id);
+        };
+
+        if (pin.locked) {
+            const lockBtn = document.createElement('button');
+            lockBtn.className = 'pin-btn lock-toggle active';
+            lockBtn.title = 'Locked (click to unlock)';
+            lockBtn.innerHTML = `
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <rect x="3" y="11" width="18" height="11" rx="2" ry="2"/>
+                    <path d="M7 11V7a5 5 0 0 1 10 0v4"/>
+                </svg>
+            `;
+            lockBtn.onclick = (e) => {
+                e.stopPropagation();
+                this.setLocked([pin.id], false);
+            };
+            actions.appendChild(lockBtn);
+            header.appendChild(actions);
+            return header;
+        }
+
+        const definition = PinTypes.get(pin.type);
+        if (definition) definition.headerButtons(pin, this).forEach(button => actions.appendChild(button));
+
+        actions.appendChild(deleteBtn);
+        header.appendChild(actions);
+
+        return header;
+    }
+
+    createMarkdownButton(pin) {
+        const markdownBtn = document.createElement('button');
+        markdownBtn.className = 'pin-btn markdown-toggle';
+        markdownBtn.classList.toggle('active', !!pin.markdown);
+        markdownBtn.title = pin.markdown ? 'Switch to plain text' : 'Switch to Markdown';
+        markdownBtn.textContent = 'M↓';
+        markdownBtn.onclick = (e) => {
+            e.stopPropagation();
+            state.updatePin(pin.id, { markdown: !pin.markdown });
+            this.renderPin(state.getPin(pin.id));
+        };
+        return markdownBtn;
+    }
+
+    // Fit and crop buttons for image pins that have an image
+    createImageButtons(pin) {
+        const fit = pin.fit || 'contain';
+        const fitBtn = document.createElement('button');
+        fitBtn.className = 'pin-btn fit-toggle';
+        fitBtn.title = `Fit: ${fit} (click to change)`;
+        fitBtn.innerHTML = `
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <polyline points="15 3 21 3 21 9"/>
+                <polyline points="9 21 3 21 3 15"/>
+                <line x1="21" y1="3" x2="14" y2="10"/>
+                <line x1="3" y1="21" x2="10" y2="14"/>
+            </svg>
+        `;
+        fitBtn.onclick = (e) => {
+            e.stopPropagation();
+            const next = IMAGE_FITS[(IMAGE_FITS.indexOf(fit) + 1) % IMAGE_FITS.length];
+            state.updatePin(pin.id, { fit: next });
+            this.renderPin(state.getPin(pin.id));
+        };
+
+        const cropBtn = document.createElement('button');
+        cropBtn.className = 'pin-btn crop-toggle';
+        cropBtn.classList.toggle('active', this.isCropping(pin.id));
+        cropBtn.title = 'Crop and rotate';
+        cropBtn.innerHTML = `
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M6 2v14a2 2 0 0 0 2 2h14"/>
+                <path d="M18 22V8a2 2 0 0 0-2-2H2"/>
+            </svg>
+        `;
+        cropBtn.onclick = (e) => {
+            e.stopPropagation();
+            if (this.isCropping(pin.id)) {
+                this.endCrop();
+            } else {
+                this.startCrop(pin.id);
+            }
+        };
+        return [fitBtn, cropBtn];
+    }
+
+    createPinContent(pin) {
         const content = document.createElement('div');
         content.className = 'pin-content';
 
-        switch (pin.type) {
-            case 'text':
-                content.appendChild(this.createTextContent(pin));
-                break;
-            case 'image':
-                content.appendChild(this.createImageContent(pin));
-                break;
-            case 'list':
-                content.appendChild(this.createListContent(pin));
-                break;
+        const definition = PinTypes.get(pin.type);
+        if (definition) {
+            definition.render(pin, content, this);
+        } else {
+            content.classList.add('unknown-content');
+            content.textContent = `This board has a "${pin.type}" pin, but no script that shows that type is loaded.`;
+        }
+
+        // Locked pins can still be read, scrolled and copied from
+        if (pin.locked) {
+            content.querySelectorAll('textarea, input[type="text"]').forEach(field => {
+                field.readOnly = true;
+            });
+            content.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+                checkbox.disabled = true;
+            });
+        }
+
+        return content;
+    }
+
+    createTextContent(pin) {
+        const textarea = document.createElement('textarea');
+        textarea.placeholder = 'Start typing...';
+        textarea.value = pin.content || '';
+        textarea.oninput = (e) => {
+            state.updatePin(pin.id, { content: e.target.value }, { coalesce: true });
+        };
+        return textarea;
+    }
+
+    // Shows the rendered Markdown until the pin is double-clicked (or Enter is pressed on
+    // the focused pin), then swaps in the raw editor until it loses focus
+    createMarkdownContent(pin) {
+        const container = document.createElement('div');
+        container.className = 'markdown-container';
+
+        const view = document.createElement('div');
+        view.className = 'markdown-view';
+
+        const textarea = this.createTextContent(pin);
+        textarea.placeholder = 'Write Markdown...';
+        textarea.hidden = true;
+
+        const showView = () => {
+            const content = state.getPin(pin.id)?.content || '';
+            view.replaceChildren(Markdown.render(content));
+            view.classList.toggle('empty', !content.trim());
+            textarea.hidden = true;
+            view.hidden = false;
+        };
+
+        const showEditor = () => {
+            textarea.value = state.getPin(pin.id)?.content || '';
+            view.hidden = true;
+            textarea.hidden = false;
+            textarea.focus();
+        };
+
+        view.ondblclick = (e) => {
+            e.stopPropagation();
+            if (!this.isLocked(pin.id)) showEditor();
+        };
+        view.onclick = (e) => {
+            const checkbox = e.target.closest('input[type="checkbox"]');
+            if (checkbox && this.isLocked(pin.id)) {
+                e.preventDefault();
+            } else if (checkbox) {
+                e.stopPropagation();
+                const current = state.getPin(pin.id)?.content || '';
+                state.updatePin(pin.id, { content: Markdown.toggleTask(current, parseInt(checkbox.dataset.line, 10)) });
+                showView();
+            } else if (e.target.closest('a')) {
+                e.stopPropagation();
+            }
+        };
+        textarea.onblur = showView;
+
+        showView();
+        container.appendChild(view);
+        container.appendChild(textarea);
+        return container;
+    }
+
+    createImageContent(pin) {
+        const container = document.createElement('div');
+        container.className = 'image-container';
+
+        if (pin.imageId && this.isCropping(pin.id)) {
+            this.createCropContent(pin, container);
+        } else if (pin.imageId) {
+            const img = document.createElement('img');
+            img.className = `pin-image fit-${pin.fit || 'contain'}`;
+            img.src = imageLibrary.getUrl(pin.imageId);
+            img.alt = 'Pin image';
+            container.appendChild(img);
+        } else {
+            const placeholder = document.createElement('div');
+            placeholder.className = 'pin-image-placeholder';
+            placeholder.innerHTML = `
+                <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <rect x="3" y="3" width="18" height="18" rx="2" ry="2"/>
+                    <circle cx="8.5" cy="8.5" r="1.5"/>
+                    <polyline points="21 15 16 10 5 21"/>
+                </svg>
+                <span>Click or drop an image</span>
+            `;
+
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = 'image/*';
+            input.className = 'pin-image-input';
+            input.onchange = (e) => this.handleImageUpload(e, pin.id);
+
+            placeholder.onclick = () => {
+                if (!this.isLocked(pin.id)) input.click();
+            };
+
+            container.appendChild(placeholder);
+            container.appendChild(input);
+        }
+
+        return container;
+    }
+
+    createSketchContent(pin) {
+        const container = document.createElement('div');
+        container.className = 'sketch-container';
+
+        const surface = createSvgElement('svg', { class: 'sketch-surface' });
+        this.renderStrokes(surface, pin.strokes || []);
+        container.appendChild(surface);
+        container.appendChild(this.createSketchTools());
+
+        this.attachSketchEvents(surface, pin.id);
+        return container;
+    }
+
+    renderStrokes(surface, strokes) {
+        surface.innerHTML = '';
+        strokes.forEach(stroke => surface.appendChild(this.createStrokePath(stroke)));
+    }
+
+    createStrokePath(stroke) {
+        return createSvgElement('path', {
+            class: 'sketch-stroke',
+            d: SketchGeometry.outline(stroke),
+            fill: stroke.color,
+            'fill-opacity': stroke.tool === 'highlighter' ? SketchGeometry.HIGHLIGHTER_OPACITY : 1
+        });
+    }
+
+    // Tool settings are shared by every sketch pin
+    createSketchTools() {
+        const tools = document.createElement('div');
+        tools.className = 'sketch-tools';
+
+        [['pen', 'Pen'], ['highlighter', 'Highlighter'], ['eraser', 'Eraser']].forEach(([tool, title]) => {
+            const button = document.createElement('button');
+            button.className = 'pin-btn sketch-tool';
+            button.dataset.tool = tool;
+            button.title = title;
+            button.textContent = title[0];
+            button.onclick = (e) => {
+                e.stopPropagation();
+                this.sketchSettings.tool = tool;
+                this.updateSketchTools();
+            };
+            tools.appendChild(button);
+        });
+
+        const color = document.createElement('input');
+        color.type = 'color';
+        color.className = 'sketch-color';
+        color.title = 'Stroke color';
+        color.oninput = (e) => {
+            this.sketchSettings.color = e.target.value;
+            this.updateSketchTools();
+        };
+        tools.appendChild(color);
+
+        const width = document.createElement('select');
+        width.className = 'sketch-width';
+        width.title = 'Stroke width';
+        [2, 4, 8, 16].forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = `${value}px`;
+            width.appendChild(option);
+        });
+        width.onchange = (e) => {
+            this.sketchSettings.width = parseFloat(e.target.value);
+            this.updateSketchTools();
+        };
+        tools.appendChild(width);
+
+        this.updateSketchTools(tools);
+        return tools;
+    }
+
+    updateSketchTools(root = this.canvas) {
+        const settings = this.sketchSettings;
+        root.querySelectorAll('.sketch-tool').forEach(button => {
+            button.classList.toggle('active', button.dataset.tool === settings.tool);
+        });
+        root.querySelectorAll('.sketch-color').forEach(input => {
+            input.value = settings.color;
+        });
+        root.querySelectorAll('.sketch-width').forEach(select => {
+            select.value = settings.width;
+        });
+    }
+
+    // Each pen or highlighter stroke, and each eraser gesture, is one undo step
+    attachSketchEvents(surface, pinId) {
+        let stroke = null;
+        let path = null;
+        let erased = null;
+        let pointerId = null;
+
+        const toPoint = (e) => {
+            const rect = surface.getBoundingClientRect();
+            // The rendered size includes board zoom and hover transforms
+            const scale = surface.clientWidth ? rect.width / surface.clientWidth : state.zoom;
+            return {
+                x: Math.round((e.clientX - rect.left) / scale * 10) / 10,
+                y: Math.round((e.clientY - rect.top) / scale * 10) / 10,
+                // Mice report 0.5 while a button is down and 0 otherwise
+                pressure: e.pointerType === 'pen' ? e.pressure : 0.5
+            };
+        };
+
+        const erase = (point) => {
+            const strokes = state.getPin(pinId).strokes;
+            strokes.forEach((candidate, index) => {
+                if (!erased.has(index) && SketchGeometry.hitsStroke(candidate, point, this.sketchSettings.width)) {
+                    erased.add(index);
+                    surface.children[index].style.display = 'none';
+                }
+            });
+        };
+
+        surface.addEventListener('pointerdown', (e) => {
+            e.stopPropagation();
+            if (e.button !== 0 || pointerId !== null || canvasController.pinch || this.isLocked(pinId)) return;
+            e.preventDefault();
+            if (surface.setPointerCapture) surface.setPointerCapture(e.pointerId);
+            pointerId = e.pointerId;
+
+            const point = toPoint(e);
+            const { tool, color, width } = this.sketchSettings;
+            if (tool === 'eraser') {
+                erased = new Set();
+                erase(point);
+                return;
+            }
+
+            // Highlighters draw three times wider than the selected width
+            stroke = {
+                tool,
+                color,
+                width: tool === 'highlighter' ? width * 3 : width,
+                points: [[point.x, point.y, point.pressure]]
+            };
+            path = this.createStrokePath(stroke);
+            surface.appendChild(path);
+        });
+
+        surface.addEventListener('pointermove', (e) => {
+            if (e.pointerId !== pointerId) return;
+            // A second finger turns the stroke into a pinch
+            if (canvasController.pinch) {
+                finish({ type: 'pointercancel', pointerId });
+                return;
+            }
+            if (erased) {
+                erase(toPoint(e));
+            } else if (stroke) {
+                const point = toPoint(e);
+                const last = stroke.points[stroke.points.length - 1];
+                // Skip points too close together to change the shape
+                if (Math.hypot(point.x - last[0], point.y - last[1]) < 1.5) return;
+                stroke.points.push([point.x, point.y, point.pressure]);
+                path.setAttribute('d', SketchGeometry.outline(stroke));
+            }
+        });
+
+        const finish = (e) => {
+            if (e.pointerId !== pointerId) return;
+            const pin = state.getPin(pinId);
+            if (e.type === 'pointercancel') {
+                this.renderStrokes(surface, pin.strokes || []);
+            } else if (stroke) {
+                state.updatePin(pinId, { strokes: [...(pin.strokes || []), stroke] });
+            } else if (erased && erased.size > 0) {
+                state.updatePin(pinId, { strokes: pin.strokes.filter((candidate, index) => !erased.has(index)) });
+                this.renderStrokes(surface, state.getPin(pinId).strokes);
+            }
+            stroke = null;
+            path = null;
+            erased = null;
+            pointerId = null;
+        };
+        surface.addEventListener('pointerup', finish);
+        surface.addEventListener('pointercancel', finish);
+    }
+
+    createListContent(pin) {
+        const container = document.createElement('div');
+
+        // Render existing items
+        if (pin.items && pin.items.length > 0) {
+            pin.items.forEach((item, index) => {
+                container.appendChild(this.createListItem(pin.id, item, index));
+            });
+        }
+
+        // Add item button
+        const addBtn = document.createElement('button');
+        addBtn.className = 'add-list-item';
+        addBtn.innerHTML = `
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <line x1="12" y1="5" x2="12" y2="19"/>
+                <line x1="5" y1="12" x2="19" y2="12"/>
+            </svg>
+            Add item
+        `;
+        addBtn.onclick = () => this.addListItem(pin.id);
+
+        container.appendChild(addBtn);
+
+        return container;
+    }
+
+    createListItem(pinId, item, index) {
+        const itemElement = document.createElement('div');
+        itemElement.className = 'list-item';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'list-checkbox';
+        checkbox.checked = item.completed || false;
+        checkbox.onchange = (e) => {
+            this.updateListItem(pinId, index, { completed: e.target.checked });
+            this.renderPin(state.getPin(pinId));
+        };
+
+        const text = document.createElement('input');
+        text.type = 'text';
+        text.className = `list-text ${item.completed ? 'completed' : ''}`;
+        text.value = item.text || '';
+        text.placeholder = 'List item...';
+        text.oninput = (e) => {
+            this.updateListItem(pinId, index, { text: e.target.value }, { coalesce: true });
+        };
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'list-delete';
+        deleteBtn.innerHTML = `
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <line x1="18" y1="6" x2="6" y2="18"/>
+                <line x1="6" y1="6" x2="18" y2="18"/>
+            </svg>
+        `;
+        deleteBtn.onclick = () => this.deleteListItem(pinId, index);
+
+        itemElement.appendChild(checkbox);
+        itemElement.appendChild(text);
+        itemElement.appendChild(deleteBtn);
+
+        return itemElement;
+    }
+
+    // Pin fields are replaced rather than mutated so history can record what they were
+    updateListItem(pinId, index, updates, options) {
+        const pin = state.getPin(pinId);
+        const items = pin.items.map((item, i) => i === index ? { ...item, ...updates } : item);
+        state.updatePin(pinId, { items }, options);
+    }
+
+    addListItem(pinId) {
+        const pin = state.getPin(pinId);
+        state.updatePin(pinId, { items: [...(pin.items || []), { text: '', completed: false }] });
+        this.renderPin(state.getPin(pinId));
+    }
+
+    deleteListItem(pinId, index) {
+        const pin = state.getPin(pinId);
+        state.updatePin(pinId, { items: pin.items.filter((item, i) => i !== index) });
+        this.renderPin(state.getPin(pinId));
+    }
+
+    handleImageUpload(event, pinId) {
+        const file = event.target.files[0];
+        if (file && file.type.startsWith('image/')) {
+            this.setPinImage(pinId, file);
+        }
+    }
+
+    // Resolves to whether the file was a readable image
+    async setPinImage(pinId, file) {
+        let image;
+        try {
+            image = await imageLibrary.addFile(file);
+        } catch (error) {
+            reportStorageError(error);
+            return false;
+        }
+        if (!image) return false;
+        if (!state.getPin(pinId)) return true;
+
+        state.updatePin(pinId, PinFactory.imageFields(image));
+        this.renderPin(state.getPin(pinId));
+        return true;
+    }
+
+    // ===== Image crop =====
+    isCropping(pinId) {
+        return Boolean(this.cropping) && this.cropping.pinId === pinId;
+    }
+
+    startCrop(pinId) {
+        this.endCrop();
+        this.cropping = { pinId, box: { x: 0, y: 0, width: 1, height: 1 }, busy: false };
+        this.renderPin(state.getPin(pinId));
+    }
+
+    endCrop() {
+        if (!this.cropping) return;
+        const { pinId } = this.cropping;
+        this.cropping = null;
+        if (this.cropObserver) {
+            this.cropObserver.disconnect();
+            this.cropObserver = null;
+        }
+        const pin = state.getPin(pinId);
+        if (pin && document.getElementById(pinId)) this.renderPin(pin);
+    }
+
+    createCropContent(pin, container) {
+        const stage = document.createElement('div');
+        stage.className = 'crop-stage';
+
+        const area = document.createElement('div');
+        area.className = 'crop-area';
+
+        const img = document.createElement('img');
+        img.className = 'pin-image';
+        img.src = imageLibrary.getUrl(pin.imageId);
+        img.alt = 'Pin image';
+        img.draggable = false;
+        area.appendChild(img);
+
+        const box = document.createElement('div');
+        box.className = 'crop-box';
+        ['nw', 'ne', 'sw', 'se'].forEach(corner => {
+            const handle = document.createElement('div');
+            handle.className = `crop-handle ${corner}`;
+            handle.dataset.corner = corner;
+            box.appendChild(handle);
+        });
+        this.positionCropBox(box);
+        area.appendChild(box);
+        stage.appendChild(area);
+
+        const bar = document.createElement('div');
+        bar.className = 'crop-bar';
+        [
+            ['↺', 'Rotate left', () => this.rotateImage(pin.id, -90)],
+            ['↻', 'Rotate right', () => this.rotateImage(pin.id, 90)],
+            ['Cancel', 'Leave without cropping', () => this.endCrop()],
+            ['Apply', 'Crop to the selected area', () => this.applyCrop()]
+        ].forEach(([label, title, action]) => {
+            const button = document.createElement('button');
+            button.className = 'crop-btn';
+            button.textContent = label;
+            button.title = title;
+            button.onclick = (e) => {
+                e.stopPropagation();
+                if (!this.cropping.busy) action();
+            };
+            bar.appendChild(button);
+        });
+        bar.lastChild.classList.add('primary');
+
+        container.appendChild(stage);
+        container.appendChild(bar);
+        this.attachCropEvents(area, box);
+    }
+
+    // The crop area is the image's contained rectangle within the stage, kept in step as the
+    // pin is resized
+    layoutCrop(pinElement, pin) {
+        const stage = pinElement.querySelector('.crop-stage');
+        const area = stage.querySelector('.crop-area');
+        const img = area.querySelector('img');
+        const layout = () => {
+            const imageWidth = pin.imageWidth || img.naturalWidth || 1;
+            const imageHeight = pin.imageHeight || img.naturalHeight || 1;
+            const scale = Math.min(stage.clientWidth / imageWidth, stage.clientHeight / imageHeight);
+            const width = imageWidth * scale;
+            const height = imageHeight * scale;
+            area.style.width = `${width}px`;
+            area.style.height = `${height}px`;
+            area.style.left = `${(stage.clientWidth - width) / 2}px`;
+            area.style.top = `${(stage.clientHeight - height) / 2}px`;
+        };
+        layout();
+        img.onload = layout;
+
+        if (this.cropObserver) this.cropObserver.disconnect();
+        if (typeof ResizeObserver === 'function') {
+            this.cropObserver = new ResizeObserver(layout);
+            this.cropObserver.observe(stage);
+        }
+    }
+
+    positionCropBox(box) {
+        const { x, y, width, height } = this.cropping.box;
+        box.style.left = `${x * 100}%`;
+        box.style.top = `${y * 100}%`;
+        box.style.width = `${width * 100}%`;
+        box.style.height = `${height * 100}%`;
+    }
+
+    // Drag the box to move it, or a corner to resize it
+    attachCropEvents(area, box) {
+        box.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0 || !this.cropping) return;
+            e.preventDefault();
+            e.stopPropagation();
+
+            const pointerId = e.pointerId;
+            const corner = e.target.dataset.corner || null;
+            const start = { ...this.cropping.box };
+            const rect = area.getBoundingClientRect();
+            const startX = e.clientX;
+            const startY = e.clientY;
+
+            const move = (event) => {
+                if (event.pointerId !== pointerId || !this.cropping) return;
+                const dx = (event.clientX - startX) / rect.width;
+                const dy = (event.clientY - startY) / rect.height;
+                this.cropping.box = corner
+                    ? ImageProcessor.resizeCrop(start, corner, dx, dy)
+                    : ImageProcessor.moveCrop(start, dx, dy);
+                this.positionCropBox(box);
+            };
+            const end = (event) => {
+                if (event.pointerId !== pointerId) return;
+                document.removeEventListener('pointermove', move);
+                document.removeEventListener('pointerup', end);
+                document.removeEventListener('pointercancel', end);
+            };
+            document.addEventListener('pointermove', move);
+            document.addEventListener('pointerup', end);
+            document.addEventListener('pointercancel', end);
+        });
+    }
+
+    async applyCrop() {
+        const { pinId, box } = this.cropping;
+        if (box.width >= 1 && box.height >= 1) {
+            this.endCrop();
+            return;
+        }
+        if (await this.transformImage(pinId, { crop: box })) this.endCrop();
+    }
+
+    async rotateImage(pinId, rotation) {
+        if (await this.transformImage(pinId, { rotation }) && this.isCropping(pinId)) {
+            this.cropping.box = { x: 0, y: 0, width: 1, height: 1 };
+            this.renderPin(state.getPin(pinId));
+        }
+    }
+
+    // Replaces the pin's image with a cropped or rotated copy; the original stays for undo
+    async transformImage(pinId, options) {
+        const pin = state.getPin(pinId);
+        if (!pin || !pin.imageId) return false;
+
+        this.cropping.busy = true;
+        let image = null;
+        try {
+            image = await imageLibrary.transform(pin.imageId, options);
+        } catch (error) {
+            reportStorageError(error);
+        }
+        if (this.cropping) this.cropping.busy = false;
+
+        if (!image) {
+            showToast('This image could not be edited.', { type: 'error' });
+            return false;
+        }
+        if (!state.getPin(pinId)) return false;
+        state.updatePin(pinId, { imageId: image.imageId, imageWidth: image.width, imageHeight: image.height });
+        return true;
+    }
+
+    addTag(pinId) {
+        tagEditor.open(pinId);
+    }
+
+    removeTag(pinId, tag) {
+        const pin = state.getPin(pinId);
+        state.updatePin(pinId, { tags: pin.tags.filter(t => t !== tag) });
+        this.renderPin(pin);
+    }
+
+    deletePin(pinId) {
+        if (confirm('Delete this pin?')) {
+            state.deletePin(pinId);
+            this.refreshPins([pinId]);
+        }
+    }
+
+    // One set of listeners on the canvas and document serves every pin, so rendering a pin adds
+    // none and drags, resizes and presses are tracked in `interaction` and `press`
+    attachPinEvents() {
+        this.canvas.addEventListener('pointerdown', (e) => {
+            const pinElement = e.target.closest('.pin');
+            if (!pinElement || pinElement.parentElement !== this.canvas) return;
+            const pinId = pinElement.id;
+
+            // Connecting
+            if (e.target.closest('.connect-handle')) {
+                if (canvasController.pinch) return;
+                this.startConnecting(pinId, e.pointerId);
+                e.stopPropagation();
+                e.preventDefault();
+                return;
+            }
+
+            // Resizing
+            if (e.target.closest('.resize-handle')) {
+                if (canvasController.pinch || this.isLocked(pinId)) return;
+                this.startResize(pinElement, e);
+                e.stopPropagation();
+                e.preventDefault();
+                return;
+            }
+
+            // Dragging; dragging a selected pin moves the whole selection
+            if (e.target.closest('.pin-header') && !e.target.closest('.pin-btn, .pin-tag, .tag-input') &&
+                e.button === 0 && !canvasController.pinch) {
+                if (!e.shiftKey && !this.selectedPins.has(pinId)) {
+                    this.setSelection([pinId]);
+                }
+                e.preventDefault();
+                if (!this.isLocked(pinId)) this.startDrag(pinId, e);
+            }
+
+            this.dragMoved = false;
+            if (e.pointerType === 'mouse' || canvasController.pinch) return;
+            if (e.target.closest('textarea, input, .sketch-surface')) return;
+            this.startPress(pinId, e);
+        });
+
+        this.canvas.addEventListener('contextmenu', (e) => {
+            const pinElement = e.target.closest('.pin');
+            if (!pinElement || pinElement.parentElement !== this.canvas) return;
+            if (e.target.closest('textarea, input')) return;
+            e.preventDefault();
+            this.cancelPress();
+            this.showPinMenu(pinElement.id, e.clientX, e.clientY);
+        });
+
+        // Selection
+        this.canvas.addEventListener('click', (e) => {
+            const pinElement = e.target.closest('.pin');
+            if (!pinElement || pinElement.parentElement !== this.canvas) return;
+            if (e.target.closest('textarea') || e.target.closest('input')) return;
+            if (this.dragMoved) return;
+
+            if (e.shiftKey) {
+                this.toggleSelection(pinElement.id);
+            } else {
+                this.setSelection([pinElement.id]);
+            }
+        });
+
+        document.addEventListener('pointermove', (e) => {
+            if (this.press && Math.hypot(e.clientX - this.press.x, e.clientY - this.press.y) > LONG_PRESS_SLOP) {
+                this.cancelPress();
+            }
+            const interaction = this.interaction;
+            if (!interaction || e.pointerId !== interaction.pointerId) return;
+
+            // A second finger turns the drag or resize into a pinch
+            if (canvasController.pinch) {
+                this.cancelInteraction();
+            } else if (interaction.kind === 'drag') {
+                this.moveDrag(e);
+            } else {
+                this.moveResize(e);
+            }
+        });
+
+        const release = (e) => {
+            this.cancelPress();
+            const interaction = this.interaction;
+            if (!interaction || e.pointerId !== interaction.pointerId) return;
+            if (e.type === 'pointercancel') {
+                this.cancelInteraction();
+                return;
+            }
+
+            this.interaction = null;
+            snapController.clearGuides();
+            if (interaction.kind === 'drag') {
+                this.endDrag(interaction);
+            } else {
+                this.endResize(interaction);
+            }
+        };
+        document.addEventListener('pointerup', release);
+        document.addEventListener('pointercancel', release);
+    }
+
+    // Long-press with touch or a pen opens the pin menu, as right-click does with a mouse
+    startPress(pinId, e) {
+        this.cancelPress();
+        const press = { pinId, x: e.clientX, y: e.clientY, timer: null };
+        press.timer = setTimeout(() => {
+            this.press = null;
+            if (this.interaction && this.interaction.kind === 'drag') this.cancelInteraction();
+            // Keeps the click that ends the press from changing the selection
+            this.dragMoved = true;
+            this.showPinMenu(press.pinId, press.x, press.y);
+        }, LONG_PRESS_DELAY);
+        this.press = press;
+    }
+
+    cancelPress() {
+        if (!this.press) return;
+        clearTimeout(this.press.timer);
+        this.press = null;
+    }
+
+    // Frames carry their pins, including those hidden while the frame is collapsed.
+    // Locked pins stay where they are.
+    startDrag(pinId, e) {
+        const ids = this.selectedPins.has(pinId) ? Array.from(this.selectedPins) : [pinId];
+        const group = state.withFrameContents(ids.map(id => state.getPin(id)).filter(Boolean))
+            .filter(item => !item.locked)
+            .map(item => ({
+                element: document.getElementById(item.id),
+                pin: item,
+                startX: item.x,
+                startY: item.y
+            }));
+        group.filter(item => item.element).forEach(item => item.element.classList.add('dragging'));
+
+        this.interaction = {
+            kind: 'drag',
+            pointerId: e.pointerId,
+            ids: new Set(group.map(item => item.pin.id)),
+            group,
+            startX: e.clientX,
+            startY: e.clientY,
+            deltaX: 0,
+            deltaY: 0
+        };
+    }
+
+    moveDrag(e) {
+        const drag = this.interaction;
+        const { deltaX, deltaY } = snapController.snapMove(
+            drag.group,
+            (e.clientX - drag.startX) / state.zoom,
+            (e.clientY - drag.startY) / state.zoom,
+            e.altKey
+        );
+
+        drag.deltaX = deltaX;
+        drag.deltaY = deltaY;
+        drag.group.filter(item => item.element).forEach(item => {
+            item.element.style.left = `${item.startX + deltaX}px`;
+            item.element.style.top = `${item.startY + deltaY}px`;
+        });
+        this.updateConnectorsFor(drag.group.map(item => item.pin.id));
+    }
+
+    endDrag(drag) {
+        const moves = new Map();
+        drag.group.forEach(item => {
+            if (item.element) item.element.classList.remove('dragging');
+            if (drag.deltaX !== 0 || drag.deltaY !== 0) {
+                moves.set(item.pin.id, { x: item.startX + drag.deltaX, y: item.startY + drag.deltaY });
+            }
+        });
+
+        this.dragMoved = moves.size > 0;
+        this.assignFrames(moves, drag.group);
+        state.updatePins(moves);
+    }
+
+    // Resizing a frame spreads or gathers its pins in proportion, keeping them inside
+    startResize(pinElement, e) {
+        const pin = state.getPin(pinElement.id);
+        const children = pin.type === 'frame' ? state.getFrameChildren(pin.id).filter(child => !child.locked) : [];
+        this.interaction = {
+            kind: 'resize',
+            pointerId: e.pointerId,
+            ids: new Set([pin.id, ...children.map(child => child.id)]),
+            pin,
+            element: pinElement,
+            children,
+            startX: e.clientX,
+            startY: e.clientY,
+            startWidth: pinElement.offsetWidth,
+            startHeight: pinElement.offsetHeight
+        };
+    }
+
+    placeResizedChildren(resize, width, height) {
+        const { pin } = resize;
+        return new Map(resize.children.map(child => [child.id, {
+            x: pin.x + Math.max(0, Math.min((child.x - pin.x) * width / pin.width, width - child.width)),
+            y: pin.y + Math.max(0, Math.min((child.y - pin.y) * height / pin.height, height - child.height))
+        }]));
+    }
+
+    showResizedChildren(positions) {
+        positions.forEach((position, id) => {
+            const element = document.getElementById(id);
+            if (!element) return;
+            element.style.left = `${position.x}px`;
+            element.style.top = `${position.y}px`;
+        });
+    }
+
+    moveResize(e) {
+        const resize = this.interaction;
+        const { pin } = resize;
+        const deltaX = (e.clientX - resize.startX) / state.zoom;
+        const deltaY = (e.clientY - resize.startY) / state.zoom;
+
+        let { width: newWidth, height: newHeight } = snapController.snapResize(pin.id, {
+            x: pin.x,
+            y: pin.y,
+            width: resize.startWidth + deltaX,
+            height: resize.startHeight + deltaY
+        }, e.altKey);
+
+        // Minimum constraints
+        const min = PinTypes.minSize(pin);
+        newWidth = Math.max(min.width, newWidth);
+        newHeight = Math.max(min.height, newHeight);
+
+        resize.element.style.width = `${newWidth}px`;
+        resize.element.style.height = `${newHeight}px`;
+        this.showResizedChildren(this.placeResizedChildren(resize, newWidth, newHeight));
+        this.updateConnectorsFor(Array.from(resize.ids));
+    }
+
+    endResize(resize) {
+        const width = resize.element.offsetWidth;
+        const height = resize.element.offsetHeight;
+
+        const updates = this.placeResizedChildren(resize, width, height);
+        updates.set(resize.pin.id, { width, height });
+        state.updatePins(updates, { label: 'resize' });
+    }
+
+    // Puts the pins back where the drag or resize found them
+    cancelInteraction() {
+        const interaction = this.interaction;
+        this.interaction = null;
+        if (interaction.kind === 'drag') {
+            interaction.group.filter(item => item.element).forEach(item => {
+                item.element.classList.remove('dragging');
+                item.element.style.left = `${item.startX}px`;
+                item.element.style.top = `${item.startY}px`;
+            });
+        } else {
+            const { pin, element } = interaction;
+            element.style.width = `${interaction.startWidth}px`;
+            element.style.height = `${interaction.startHeight}px`;
+            this.showResizedChildren(this.placeResizedChildren(interaction, pin.width, pin.height));
+        }
+        this.updateConnectorsFor(Array.from(interaction.ids));
+        snapController.clearGuides();
+    }
+
+    // Shows the pin menu at (clientX, clientY); its actions apply to the selection, which
+    // gains the pin if it wasn't already part of it
+    showPinMenu(pinId, clientX, clientY) {
+        if (!this.selectedPins.has(pinId)) {
+            this.setSelection([pinId]);
+        }
+
+        const menu = this.pinMenu;
+        const unlock = this.getSelectedPins().every(pin => pin.locked);
+        menu.querySelector('[data-action="lock"]').textContent = unlock ? 'Unlock' : 'Lock';
+        menu.classList.add('active');
+        const x = Math.min(clientX, window.innerWidth - menu.offsetWidth - 8);
+        const y = Math.min(clientY, window.innerHeight - menu.offsetHeight - 8);
+        menu.style.left = `${Math.max(8, x)}px`;
+        menu.style.top = `${Math.max(8, y)}px`;
+    }
+
+    hidePinMenu() {
+        this.pinMenu.classList.remove('active');
+    }
+
+    attachPinMenuEvents() {
+        this.pinMenu.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            this.hidePinMenu();
+            switch (button.dataset.action) {
+                case 'tag':
+                    this.tagSelection();
+                    break;
+                case 'front':
+                case 'forward':
+                case 'backward':
+                case 'back':
+                    this.arrangeSelection(button.dataset.action);
+                    break;
+                case 'lock':
+                    this.toggleLockSelection();
+                    break;
+                case 'duplicate':
+                    this.duplicateSelection();
+                    break;
+                case 'delete':
+                    this.deleteSelection();
+                    break;
+            }
+        });
+
+        document.addEventListener('pointerdown', (e) => {
+            if (!this.pinMenu.contains(e.target)) this.hidePinMenu();
+        }, true);
+    }
+
+    renderTagList() {
+        const tagList = document.getElementById('tagList');
+        tagList.innerHTML = '';
+        const { include, exclude, mode } = state.tagFilter;
+
+        const allButton = document.createElement('button');
+        allButton.className = `tag-filter ${state.isTagFilterActive() ? '' : 'active'}`;
+        allButton.textContent = 'All';
+        allButton.dataset.action = 'all';
+        allButton.onclick = () => this.setTagFilter({ include: [], exclude: [] });
+        tagList.appendChild(allButton);
+
+        // Matching any or every included tag only differs once two are included
+        if (state.tags.size > 1) {
+            const modeButton = document.createElement('button');
+            modeButton.className = 'tag-mode';
+            modeButton.dataset.action = 'mode';
+            modeButton.textContent = mode === 'all' ? 'Match all tags' : 'Match any tag';
+            modeButton.title = 'Switch between pins with any or all of the included tags';
+            modeButton.onclick = () => this.setTagFilter({ mode: mode === 'all' ? 'any' : 'all' });
+            tagList.appendChild(modeButton);
+        }
+
+        Array.from(state.tags).forEach(tag => {
+            const included = include.includes(tag);
+            const excluded = exclude.includes(tag);
+            const button = document.createElement('button');
+            button.className = `tag-filter ${included ? 'active' : ''} ${excluded ? 'excluded' : ''}`;
+            button.dataset.tag = tag;
+            button.title = included ? 'Included: click to exclude' : excluded ? 'Excluded: click to clear' : 'Click to include, right-click for options';
+
+            const dot = document.createElement('span');
+            dot.className = 'tag-dot';
+            this.applyTagColor(dot, tag);
+            button.append(dot, tag);
+
+            // Each click steps the tag from off to included to excluded and back to off
+            button.onclick = () => this.setTagFilter({
+                include: included ? include.filter(other => other !== tag) : excluded ? include : [...include, tag],
+                exclude: included ? [...exclude, tag] : exclude.filter(other => other !== tag)
+            });
+            button.oncontextmenu = (e) => {
+                e.preventDefault();
+                this.showTagMenu(tag, e.clientX, e.clientY);
+            };
+            tagList.appendChild(button);
+        });
+
+        const frames = state.getFrames().sort((a, b) => a.y - b.y || a.x - b.x);
+        const frameList = document.getElementById('frameList');
+        frameList.innerHTML = '';
+        document.getElementById('frameHeading').hidden = frames.length === 0;
+        frames.forEach(frame => {
+            const button = document.createElement('button');
+            button.className = `tag-filter frame-filter ${frame.id === state.activeFrame ? 'active' : ''}`;
+            button.textContent = frame.title;
+            button.dataset.frame = frame.id;
+            button.title = 'Show only this frame';
+            button.onclick = () => this.setFrameFilter(frame.id === state.activeFrame ? null : frame.id);
+            frameList.appendChild(button);
+        });
+    }
+
+    // Colors a pin's tag chip or a tag panel dot with the tag's color, if it has one
+    applyTagColor(element, tag) {
+        const color = state.getTagColor(tag);
+        element.classList.toggle('colored', Boolean(color));
+        if (color) element.style.setProperty('--tag-color', color);
+    }
+
+    // `filter` holds any of { include, exclude, mode }. The tag and frame filters replace each
+    // other; the tag filter is saved with the board.
+    setTagFilter(filter) {
+        state.tagFilter = { ...state.tagFilter, ...filter };
+        state.activeFrame = null;
+        state.saveToStorage();
+        this.renderTagList();
+        this.renderAllPins();
+    }
+
+    setFrameFilter(frameId) {
+        state.tagFilter = { ...state.tagFilter, include: [], exclude: [] };
+        state.activeFrame = frameId;
+        state.saveToStorage();
+        this.renderTagList();
+        this.renderAllPins();
+        if (frameId) canvasController.centerOn(state.getPin(frameId));
+    }
+
+    // Steps the tag filter through All and then each single tag, wrapping around
+    cycleTagFilter(step) {
+        const tags = [null, ...state.tags];
+        const { include, exclude } = state.tagFilter;
+        const current = include.length === 1 && exclude.length === 0 ? include[0] : null;
+        const tag = tags[(tags.indexOf(current) + step + tags.length) % tags.length];
+        this.setTagFilter({ include: tag === null ? [] : [tag], exclude: [] });
+        showToast(tag === null ? 'Showing all pins' : `Showing pins tagged "${tag}"`, { key: 'tag-filter', duration: 1500 });
+    }
+
+    // ===== Tag menu =====
+    showTagMenu(tag, clientX, clientY) {
+        const menu = this.tagMenu;
+        this.menuTag = tag;
+        const color = state.getTagColor(tag);
+        menu.querySelectorAll('[data-color]').forEach(swatch => {
+            swatch.classList.toggle('active', swatch.dataset.color === (color || ''));
+        });
+        menu.classList.add('active');
+        const x = Math.min(clientX, window.innerWidth - menu.offsetWidth - 8);
+        const y = Math.min(clientY, window.innerHeight - menu.offsetHeight - 8);
+        menu.style.left = `${Math.max(8, x)}px`;
+        menu.style.top = `${Math.max(8, y)}px`;
+    }
+
+    hideTagMenu() {
+        this.tagMenu.classList.remove('active');
+    }
+
+    attachTagMenuEvents() {
+        const colors = this.tagMenu.querySelector('.tag-colors');
+        ['', ...TAG_COLORS].forEach(color => {
+            const swatch = document.createElement('button');
+            swatch.className = 'tag-swatch';
+            swatch.dataset.color = color;
+            swatch.title = color ? color : 'No color';
+            if (color) swatch.style.background = color;
+            colors.appendChild(swatch);
+        });
+
+        this.tagMenu.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (!button || this.menuTag === null) return;
+
+            const tag = this.menuTag;
+            this.hideTagMenu();
+            if (button.dataset.color !== undefined) {
+                this.setTagColor(tag, button.dataset.color || null);
+            } else if (button.dataset.action === 'rename') {
+                this.renameTag(tag);
+            } else if (button.dataset.action === 'delete') {
+                this.deleteTag(tag);
+            }
+        });
+
+        document.addEventListener('pointerdown', (e) => {
+            if (!this.tagMenu.contains(e.target)) this.hideTagMenu();
+        }, true);
+    }
+
+    setTagColor(tag, color) {
+        state.setTagColor(tag, color);
+        this.refreshPins(state.getTaggedPins(tag).map(pin => pin.id));
+    }
+
+    // Renaming a tag to one that already exists merges the two
+    renameTag(tag) {
+        const button = Array.from(document.querySelectorAll('#tagList [data-tag]')).find(item => item.dataset.tag === tag);
+        tagEditor.openAt(button, {
+            label: 'Rename tag',
+            value: tag,
+            exclude: () => [tag],
+            submit: (text) => {
+                const name = text.trim();
+                if (!name || name === tag || !state.tags.has(tag)) return;
+                if (state.tags.has(name) && !confirm(`The tag "${name}" already exists. Merge "${tag}" into it?`)) return;
+
+                state.renameTag(tag, name);
+                this.renderAllPins();
+            }
+        });
+    }
+
+    deleteTag(tag) {
+        const count = state.getTaggedPins(tag).length;
+        if (!confirm(count === 1 ? `Remove the tag "${tag}" from 1 pin?` : `Remove the tag "${tag}" from ${count} pins?`)) return;
+
+        state.deleteTag(tag);
+        this.renderAllPins();
+    }
+
+    // ===== Keyboard navigation =====
+    // The pin with keyboard focus, or else the only selected pin
+    getFocusedPinId() {
+        const element = document.activeElement && document.activeElement.closest
+            ? document.activeElement.closest('.pin')
+            : null;
+        if (element && state.getPin(element.id)) return element.id;
+        return this.selectedPins.size === 1 ? Array.from(this.selectedPins)[0] : null;
+    }
+
+    focusPin(pinId) {
+        const element = this.getPinElement(pinId);
+        if (!element) return;
+
+        this.setSelection([pinId]);
+        element.focus({ preventScroll: true });
+        canvasController.reveal(state.getPin(pinId));
+    }
+
+    // Moves focus through the visible pins top to bottom, then left to right
+    focusNextPin(step) {
+        const pins = state.getFilteredPins().sort((a, b) => a.y - b.y || a.x - b.x);
+        if (pins.length === 0) return;
+
+        const index = pins.findIndex(pin => pin.id === this.getFocusedPinId());
+        const next = index === -1
+            ? (step > 0 ? 0 : pins.length - 1)
+            : (index + step + pins.length) % pins.length;
+        this.focusPin(pins[next].id);
+    }
+
+    // Focuses the nearest pin whose centre lies within 45 degrees of the direction,
+    // preferring pins straight ahead over closer ones off to the side
+    focusPinInDirection(dirX, dirY) {
+        const current = state.getPin(this.getFocusedPinId());
+        if (!current) {
+            this.focusNextPin(1);
+            return;
+        }
+
+        const from = ConnectorGeometry.center(current);
+        let best = null;
+        state.getFilteredPins().forEach(pin => {
+            if (pin.id === current.id) return;
+            const to = ConnectorGeometry.center(pin);
+            const ahead = (to.x - from.x) * dirX + (to.y - from.y) * dirY;
+            const aside = Math.abs((to.x - from.x) * dirY - (to.y - from.y) * dirX);
+            if (ahead <= 0 || aside > ahead) return;
+
+            const score = ahead + aside * 2;
+            if (!best || score < best.score) best = { pin, score };
+        });
+
+        if (best) this.focusPin(best.pin.id);
+    }
+
+    // Arrow-key nudges in quick succession undo as one step
+    nudgeSelection(dx, dy) {
+        // Frames carry their pins, and pins nudged over a frame's edge change frame, as in a drag
+        const pins = state.withFrameContents(this.getSelectedPins()).filter(pin => !pin.locked);
+        if (pins.length === 0) return;
+
+        const moves = new Map(pins.map(pin => [pin.id, { x: pin.x + dx, y: pin.y + dy }]));
+        this.assignFrames(moves, pins.map(pin => ({ pin })));
+        const reframed = Array.from(moves.values()).some(move => 'frameId' in move);
+        state.updatePins(moves, { coalesce: true });
+        if (reframed) {
+            // A new frame can hide the pin (collapsed, or outside the active frame)
+            this.refreshPins(pins.map(pin => pin.id));
+            return;
+        }
+        pins.forEach(pin => {
+            const element = document.getElementById(pin.id);
+            if (element) {
+                element.style.left = `${pin.x}px`;
+                element.style.top = `${pin.y}px`;
+            }
+        });
+        this.updateConnectorsFor(pins.map(pin => pin.id));
+    }
+
+    // Puts the caret in the pin's content: its text, first list item or first control
+    editPin(pinId) {
+        const element = this.getPinElement(pinId);
+        if (!element) return;
+        if (state.getPin(pinId).type === 'frame') {
+            this.renameFrame(pinId);
+            return;
+        }
+
+        const view = element.querySelector('.markdown-view');
+        if (view && !view.hidden) {
+            view.dispatchEvent(new MouseEvent('dblclick', { bubbles: true }));
+            return;
+        }
+
+        const field = element.querySelector('.pin-content textarea:not([hidden]), .pin-content input[type="text"], .pin-content button');
+        if (field) field.focus({ preventScroll: true });
+    }
+}
+
+// ===== Tag Editor =====
+// An input that takes the place of a button and suggests the board's other tags. It adds tags
+// to a pin or to the selected pins, where Enter, comma or picking a suggestion adds a tag and
+// leaves the editor open for the next one, and renames tags in the tag panel.
+class TagEditor {
+    static MAX_SUGGESTIONS = 8;
+
+    constructor() {
+        this.list = document.getElementById('tagSuggestions');
+        this.input = null;
+        this.button = null;
+        this.target = null;
+        this.suggestions = [];
+        this.highlighted = -1;
+        this.attachEvents();
+    }
+
+    attachEvents() {
+        // Keeps focus in the input while a suggestion is clicked
+        this.list.addEventListener('pointerdown', (e) => e.preventDefault());
+        this.list.addEventListener('click', (e) => {
+            const option = e.target.closest('[data-index]');
+            if (option) this.add(this.suggestions[Number(option.dataset.index)]);
+        });
+    }
+
+    open(pinId) {
+        const element = boardRenderer.getPinElement(pinId);
+        this.openAt(element && element.querySelector('.add-tag'), {
+            label: 'Add tag',
+            exclude: () => this.sharedTags([pinId]),
+            submit: (text) => this.addTag([pinId], text),
+            reopen: () => this.open(pinId),
+            focus: () => document.getElementById(pinId)
+        });
+    }
+
+    // Tags several pins at once, suggesting the tags they don't all have yet
+    openForPins(pinIds, button) {
+        this.openAt(button, {
+            label: `Tag ${pinIds.length} pins`,
+            exclude: () => this.sharedTags(pinIds),
+            submit: (text) => this.addTag(pinIds, text),
+            reopen: () => this.openForPins(pinIds, button)
+        });
+    }
+
+    // `target` gives the input's label and starting value, the tags not to suggest (exclude),
+    // what to do with the text (submit) and, optionally, how to open again for the next tag
+    // (reopen) and where focus goes once the editor is done (focus)
+    openAt(button, target) {
+        this.close();
+        if (!button) return;
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'tag-input';
+        input.placeholder = target.label;
+        input.value = target.value || '';
+        input.autocomplete = 'off';
+        input.setAttribute('aria-label', target.label);
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-controls', 'tagSuggestions');
+        input.addEventListener('input', () => this.update());
+        input.addEventListener('keydown', (e) => this.handleKey(e));
+        // Leaving the editor keeps whatever was typed
+        input.addEventListener('blur', () => {
+            if (this.input !== input) return;
+            const text = input.value;
+            this.close();
+            target.submit(text);
+        });
+
+        button.hidden = true;
+        button.before(input);
+        this.input = input;
+        this.button = button;
+        this.target = target;
+        input.focus({ preventScroll: true });
+        input.select();
+        this.update();
+    }
+
+    close() {
+        if (!this.input) return;
+        const input = this.input;
+        const button = this.button;
+        this.input = null;
+        this.button = null;
+        this.target = null;
+        this.list.classList.remove('active');
+
+        button.hidden = false;
+        input.remove();
+    }
+
+    handleKey(e) {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (this.suggestions.length === 0) return;
+            // One position more than there are suggestions, for the typed text itself
+            const count = this.suggestions.length + 1;
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.highlighted = (this.highlighted + 1 + step + count) % count - 1;
+            this.renderSuggestions();
+        } else if (e.key === 'Enter' || e.key === ',') {
+            e.preventDefault();
+            if (this.highlighted !== -1) {
+                this.add(this.suggestions[this.highlighted]);
+            } else if (this.input.value.trim()) {
+                this.add(this.input.value);
+            } else if (e.key === 'Enter') {
+                this.finish();
+            }
+        } else if (e.key === 'Tab' && this.input.value.trim() && this.suggestions.length > 0) {
+            e.preventDefault();
+            this.input.value = this.suggestions[Math.max(0, this.highlighted)];
+            this.update();
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            this.input.value = '';
+            this.finish();
+        }
+    }
+
+    // Closes the editor and hands focus back to the pin
+    finish() {
+        const element = this.target.focus ? this.target.focus() : null;
+        this.close();
+        if (element) element.focus({ preventScroll: true });
+    }
+
+    add(text) {
+        const target = this.target;
+        this.close();
+        target.submit(text);
+        if (target.reopen) target.reopen();
+    }
+
+    // Tags every one of the pins already has
+    sharedTags(pinIds) {
+        const pins = pinIds.map(id => state.getPin(id)).filter(Boolean);
+        if (pins.length === 0) return [];
+        return (pins[0].tags || []).filter(tag => pins.every(pin => (pin.tags || []).includes(tag)));
+    }
+
+    // Typing an existing tag in different case reuses that tag. Locked pins keep their tags.
+    addTag(pinIds, text) {
+        const typed = text.trim();
+        if (!typed) return;
+
+        const name = Array.from(state.tags).find(tag => tag.toLowerCase() === typed.toLowerCase()) || typed;
+        const pins = pinIds
+            .map(id => state.getPin(id))
+            .filter(pin => pin && !pin.locked && !(pin.tags || []).includes(name));
+        if (pins.length === 0) return;
+
+        state.updatePins(new Map(pins.map(pin => [pin.id, { tags: [...(pin.tags || []), name] }])));
+        boardRenderer.refreshPins(pins.map(pin => pin.id));
+    }
+
+    // Tags the pins don't all have yet that contain what was typed, those starting with it first
+    update() {
+        const query = this.input.value.trim().toLowerCase();
+        const own = new Set(this.target.exclude());
+        const startsWith = tag => tag.toLowerCase().startsWith(query) ? 0 : 1;
+
+        this.suggestions = Array.from(state.tags)
+            .filter(tag => !own.has(tag) && tag.toLowerCase().includes(query))
+            .sort((a, b) => startsWith(a) - startsWith(b) || a.localeCompare(b))
+            .slice(0, TagEditor.MAX_SUGGESTIONS);
+        this.highlighted = query && this.suggestions.length > 0 && this.suggestions[0].toLowerCase() === query ? 0 : -1;
+        this.renderSuggestions();
+    }
+
+    renderSuggestions() {
+        this.list.innerHTML = '';
+        this.list.classList.toggle('active', this.suggestions.length > 0);
+        this.suggestions.forEach((tag, index) => {
+            const option = document.createElement('li');
+            option.className = `tag-suggestion ${index === this.highlighted ? 'active' : ''}`;
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', String(index === this.highlighted));
+            option.dataset.index = index;
+
+            const dot = document.createElement('span');
+            dot.className = 'tag-dot';
+            boardRenderer.applyTagColor(dot, tag);
+            option.append(dot, tag);
+            this.list.appendChild(option);
+        });
+
+        const rect = this.input.getBoundingClientRect();
+        this.list.style.left = `${rect.left}px`;
+        this.list.style.top = `${rect.bottom + 4}px`;
+    }
+}
+
+// ===== Canvas Controller =====
+const ZOOMED_OUT_LEVEL = 0.5;
+
+class CanvasController {
+    constructor() {
+        this.container = document.getElementById('canvasContainer');
+        this.canvas = document.getElementById('canvas');
+        this.isPanning = false;
+        this.panMoved = false;
+        this.startX = 0;
+        this.startY = 0;
+        this.marquee = null;
+        this.animationFrame = null;
+        // The pointer that started a pan or marquee
+        this.activePointer = null;
+        // Touch points on the board by pointer id, and the pinch they form once there are two
+        this.touches = new Map();
+        this.pinch = null;
+        this.attachEvents();
+    }
+
+    attachEvents() {
+        // Touches are tracked in the capture phase so a pinch can start over pins too
+        this.container.addEventListener('pointerdown', (e) => {
+            if (e.pointerType !== 'touch') return;
+            this.touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (this.touches.size === 2) this.startPinch();
+        }, true);
+
+        // Pan, or draw a selection rectangle with Shift held
+        this.container.addEventListener('pointerdown', (e) => {
+            if (this.pinch || this.activePointer !== null) return;
+            if (e.target === this.container || e.target === this.canvas) {
+                this.activePointer = e.pointerId;
+                if (e.shiftKey) {
+                    this.startMarquee(e);
+                    e.preventDefault();
+                    return;
+                }
+                this.isPanning = true;
+                this.panMoved = false;
+                this.startX = e.clientX - state.panX;
+                this.startY = e.clientY - state.panY;
+                this.container.classList.add('panning');
+            }
+        });
+
+        document.addEventListener('pointermove', (e) => {
+            if (this.touches.has(e.pointerId)) {
+                this.touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+                if (this.pinch) {
+                    this.updatePinch();
+                    return;
+                }
+            }
+            if (e.pointerId !== this.activePointer) return;
+
+            if (this.marquee) {
+                this.updateMarquee(e);
+            } else if (this.isPanning) {
+                state.panX = e.clientX - this.startX;
+                state.panY = e.clientY - this.startY;
+                this.panMoved = true;
+                this.updateTransform();
+            }
+        });
+
+        const release = (e) => {
+            this.touches.delete(e.pointerId);
+            if (this.pinch) {
+                if (this.touches.size < 2) this.endPinch();
+                return;
+            }
+            if (e.pointerId !== this.activePointer) return;
+            this.activePointer = null;
+
+            if (this.marquee) {
+                this.endMarquee();
+            } else if (this.isPanning) {
+                this.isPanning = false;
+                this.container.classList.remove('panning');
+                // A click on empty canvas clears the selection
+                if (this.panMoved) {
+                    state.saveToStorage();
+                } else if (e.type === 'pointerup') {
+                    boardRenderer.clearSelection();
+                }
+            }
+        };
+        document.addEventListener('pointerup', release);
+        document.addEventListener('pointercancel', release);
+
+        // Zoom
+        this.container.addEventListener('wheel', (e) => {
+            e.preventDefault();
+
+            const delta = e.deltaY > 0 ? 0.9 : 1.1;
+            const newZoom = Math.max(0.1, Math.min(3, state.zoom * delta));
+
+            // Zoom towards mouse position
+            const rect = this.container.getBoundingClientRect();
+            const mouseX = e.clientX - rect.left;
+            const mouseY = e.clientY - rect.top;
+
+            const zoomRatio = newZoom / state.zoom;
+            state.panX = mouseX - (mouseX - state.panX) * zoomRatio;
+            state.panY = mouseY - (mouseY - state.panY) * zoomRatio;
+            state.zoom = newZoom;
+
+            this.updateTransform();
+            this.updateZoomDisplay();
+            state.saveToStorage();
+        });
+
+        // Zoom buttons
+        document.getElementById('zoomIn').onclick = () => this.zoom(1.2);
+        document.getElementById('zoomOut').onclick = () => this.zoom(0.8);
+        document.getElementById('resetZoom').onclick = () => this.resetZoom();
+    }
+
+    // Pans and zooms so the pin fills at most 60% of the view, without zooming in past 100%
+    centerOn(pin) {
+        const rect = this.container.getBoundingClientRect();
+        const fit = Math.min(rect.width * 0.6 / pin.width, rect.height * 0.6 / pin.height, 1);
+        this.animateTo(pin.x + pin.width / 2, pin.y + pin.height / 2, Math.max(0.1, fit));
+    }
+
+    // Pans just far enough to bring the pin into view, keeping the zoom
+    reveal(pin) {
+        const rect = this.container.getBoundingClientRect();
+        const margin = 40;
+        const left = pin.x * state.zoom + state.panX;
+        const top = pin.y * state.zoom + state.panY;
+        const right = left + pin.width * state.zoom;
+        const bottom = top + pin.height * state.zoom;
+
+        let dx = 0;
+        let dy = 0;
+        if (right > rect.width - margin) dx = rect.width - margin - right;
+        if (left + dx < margin) dx = margin - left;
+        if (bottom > rect.height - margin) dy = rect.height - margin - bottom;
+        if (top + dy < margin) dy = margin - top;
+        if (dx === 0 && dy === 0) return;
+
+        this.animateTo(
+            (rect.width / 2 - state.panX - dx) / state.zoom,
+            (rect.height / 2 - state.panY - dy) / state.zoom,
+            state.zoom
+        );
+    }
+
+    // Animates so the board point (x, y) ends up in the middle of the view at `zoom`
+    animateTo(x, y, zoom, duration = 350) {
+        const rect = this.container.getBoundingClientRect();
+        const startZoom = state.zoom;
+        const startX = (rect.width / 2 - state.panX) / startZoom;
+        const startY = (rect.height / 2 - state.panY) / startZoom;
+        const reduceMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        const startTime = performance.now();
+
+        cancelAnimationFrame(this.animationFrame);
+
+        const frame = (now) => {
+            const progress = reduceMotion || duration === 0 ? 1 : Math.min(1, (now - startTime) / duration);
+            const eased = 1 - Math.pow(1 - progress, 3);
+
+            state.zoom = startZoom + (zoom - startZoom) * eased;
+            const centerX = startX + (x - startX) * eased;
+            const centerY = startY + (y - startY) * eased;
+            state.panX = rect.width / 2 - centerX * state.zoom;
+            state.panY = rect.height / 2 - centerY * state.zoom;
+
+            this.updateTransform();
+            this.updateZoomDisplay();
+
+            if (progress < 1) {
+                this.animationFrame = requestAnimationFrame(frame);
+            } else {
+                state.saveToStorage();
+            }
+        };
+        this.animationFrame = requestAnimationFrame(frame);
+    }
+
+    // Two fingers zoom around their midpoint and pan with it; whatever the first finger
+    // was doing (panning, dragging, drawing) is abandoned
+    startPinch() {
+        const [a, b] = Array.from(this.touches.values());
+        if (this.marquee) {
+            this.marquee.element.remove();
+            this.marquee = null;
         }
+        this.isPanning = false;
+        this.activePointer = null;
+        this.container.classList.add('panning');
+        cancelAnimationFrame(this.animationFrame);
+
+        this.pinch = {
+            distance: Math.max(1, Math.hypot(b.x - a.x, b.y - a.y)),
+            zoom: state.zoom,
+            // The board point under the midpoint stays under it
+            anchor: this.toBoardPoint((a.x + b.x) / 2, (a.y + b.y) / 2)
+        };
+    }
 
-        return content;
+    updatePinch() {
+        const [a, b] = Array.from(this.touches.values());
+        const rect = this.container.getBoundingClientRect();
+        const distance = Math.hypot(b.x - a.x, b.y - a.y);
+
+        state.zoom = Math.max(0.1, Math.min(3, this.pinch.zoom * distance / this.pinch.distance));
+        state.panX = (a.x + b.x) / 2 - rect.left - this.pinch.anchor.x * state.zoom;
+        state.panY = (a.y + b.y) / 2 - rect.top - this.pinch.anchor.y * state.zoom;
+
+        this.updateTransform();
+        this.updateZoomDisplay();
     }
 
-    createTextContent(pin) {
-        const textarea = document.createElement('textarea');
-        textarea.placeholder = 'Start typing...';
-        textarea.value = pin.content || '';
-        textarea.oninput = (e) => {
-            state.updatePin(pin.id, { content: e.target.value });
+    endPinch() {
+        this.pinch = null;
+        this.container.classList.remove('panning');
+        state.saveToStorage();
+    }
+
+    toBoardPoint(clientX, clientY) {
+        const rect = this.container.getBoundingClientRect();
+        return {
+            x: (clientX - rect.left - state.panX) / state.zoom,
+            y: (clientY - rect.top - state.panY) / state.zoom
         };
-        return textarea;
     }
 
-    createImageContent(pin) {
-        const container = document.createElement('div');
+    // The marquee is tracked in container coordinates and converted to board coordinates on release
+    startMarquee(e) {
+        const rect = this.container.getBoundingClientRect();
+        const element = document.createElement('div');
+        element.className = 'marquee';
+        this.container.appendChild(element);
+
+        this.marquee = {
+            element,
+            startX: e.clientX - rect.left,
+            startY: e.clientY - rect.top,
+            x: e.clientX - rect.left,
+            y: e.clientY - rect.top,
+            width: 0,
+            height: 0
+        };
+        this.updateMarquee(e);
+    }
 
-        if (pin.imageUrl) {
-            const img = document.createElement('img');
-            img.className = 'pin-image';
-            img.src = pin.imageUrl;
-            img.alt = 'Pin image';
-            container.appendChild(img);
-        } else {
-            const placeholder = document.createElement('div');
-            placeholder.className = 'pin-image-placeholder';
-            placeholder.innerHTML = `
-                <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                    <rect x="3" y="3" width="18" height="18" rx="2" ry="2"/>
-                    <circle cx="8.5" cy="8.5" r="1.5"/>
-                    <polyline points="21 15 16 10 5 21"/>
-                </svg>
-                <span>Click to add image</span>
-            `;
+    updateMarquee(e) {
+        const rect = this.container.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+        const marquee = this.marquee;
+
+        marquee.x = Math.min(marquee.startX, x);
+        marquee.y = Math.min(marquee.startY, y);
+        marquee.width = Math.abs(x - marquee.startX);
+        marquee.height = Math.abs(y - marquee.startY);
+
+        marquee.element.style.left = `${marquee.x}px`;
+        marquee.element.style.top = `${marquee.y}px`;
+        marquee.element.style.width = `${marquee.width}px`;
+        marquee.element.style.height = `${marquee.height}px`;
+    }
 
-            const input = document.createElement('input');
-            input.type = 'file';
-            input.accept = 'image/*';
-            input.className = 'pin-image-input';
-            input.onchange = (e) => this.handleImageUpload(e, pin.id);
+    // Adds every visible pin touching the rectangle to the selection
+    endMarquee() {
+        const marquee = this.marquee;
+        marquee.element.remove();
+        this.marquee = null;
+
+        const region = {
+            x: (marquee.x - state.panX) / state.zoom,
+            y: (marquee.y - state.panY) / state.zoom,
+            width: marquee.width / state.zoom,
+            height: marquee.height / state.zoom
+        };
+        // Frames are only picked up whole, so selecting pins inside one leaves it out
+        const ids = state.getFilteredPins()
+            .filter(pin => pin.type === 'frame' ? rectContains(region, pin) : rectsIntersect(pin, region))
+            .map(pin => pin.id);
+        boardRenderer.setSelection([...boardRenderer.selectedPins, ...ids]);
+    }
+
+    zoom(factor) {
+        state.zoom = Math.max(0.1, Math.min(3, state.zoom * factor));
+        this.updateTransform();
+        this.updateZoomDisplay();
+        state.saveToStorage();
+    }
+
+    resetZoom() {
+        state.zoom = 1;
+        state.panX = 0;
+        state.panY = 0;
+        this.updateTransform();
+        this.updateZoomDisplay();
+        state.saveToStorage();
+    }
 
-            placeholder.onclick = () => input.click();
+    updateTransform() {
+        this.canvas.style.transform = `translate(${state.panX}px, ${state.panY}px) scale(${state.zoom})`;
+        // Zoomed far out, pins drop their blur, shadows and transitions so many can pan smoothly
+        this.canvas.classList.toggle('zoomed-out', state.zoom < ZOOMED_OUT_LEVEL);
+        boardRenderer.scheduleViewportUpdate();
+        if (collaboration) collaboration.renderCursors();
+        // The minimap outlines the view
+        if (minimap) minimap.scheduleDraw();
+    }
 
-            container.appendChild(placeholder);
-            container.appendChild(input);
+    // The part of the board in view, in board coordinates
+    getViewport() {
+        const rect = this.container.getBoundingClientRect();
+        return {
+            x: -state.panX / state.zoom,
+            y: -state.panY / state.zoom,
+            width: rect.width / state.zoom,
+            height: rect.height / state.zoom
+        };
+    }
+
+    updateZoomDisplay() {
+        document.getElementById('zoomLevel').textContent = `${Math.round(state.zoom * 100)}%`;
+    }
+}
+
+// ===== Minimap =====
+// An overview of the board in the corner of the view. Pins are drawn in the color of their first
+// colored tag, or of their type, under an outline of what the view currently shows; clicking or
+// dragging in it pans the view there.
+class Minimap {
+    static SETTINGS_KEY = 'freeboard_minimap';
+    static WIDTH = 200;
+    static HEIGHT = 140;
+    // Board space kept around the pins and the view, so neither sits right on the edge
+    static PADDING = 100;
+
+    constructor() {
+        this.container = document.getElementById('canvasContainer');
+        this.element = document.getElementById('minimap');
+        this.surface = document.getElementById('minimapCanvas');
+        this.toggleButton = document.getElementById('minimapToggle');
+        this.context = this.surface.getContext('2d');
+        // Where the board is drawn: board point (x, y) lands on the minimap's corner at `scale`
+        this.view = null;
+        // The pointer panning from the minimap; the view is held still while it drags
+        this.activePointer = null;
+        this.drawFrame = null;
+        this.unsubscribe = null;
+        this.visible = localStorage.getItem(Minimap.SETTINGS_KEY) !== 'hidden';
+
+        const ratio = window.devicePixelRatio || 1;
+        this.surface.width = Minimap.WIDTH * ratio;
+        this.surface.height = Minimap.HEIGHT * ratio;
+
+        this.attachEvents();
+        this.updateControls();
+        this.watch(state);
+    }
+
+    // Redraws after every change recorded on the board, including undo and redo. The filters,
+    // the selection, the view and changes from other tabs and people don't go through the
+    // board's listeners, so the renderer and canvas ask for those redraws themselves
+    watch(boardState) {
+        if (this.unsubscribe) this.unsubscribe();
+        this.unsubscribe = boardState.subscribe(() => this.scheduleDraw());
+    }
+
+    attachEvents() {
+        this.toggleButton.onclick = () => this.toggle();
+
+        this.surface.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0 || !this.view) return;
+            e.preventDefault();
+            this.activePointer = e.pointerId;
+            this.element.classList.add('panning');
+            this.panTo(e);
+        });
+        document.addEventListener('pointermove', (e) => {
+            if (e.pointerId === this.activePointer) this.panTo(e);
+        });
+        const release = (e) => {
+            if (e.pointerId !== this.activePointer) return;
+            this.activePointer = null;
+            this.element.classList.remove('panning');
+            state.saveToStorage();
+            this.scheduleDraw();
+        };
+        document.addEventListener('pointerup', release);
+        document.addEventListener('pointercancel', release);
+
+        window.addEventListener('resize', () => this.scheduleDraw());
+    }
+
+    toggle() {
+        this.visible = !this.visible;
+        localStorage.setItem(Minimap.SETTINGS_KEY, this.visible ? 'visible' : 'hidden');
+        this.updateControls();
+    }
+
+    updateControls() {
+        this.element.hidden = !this.visible;
+        this.toggleButton.classList.toggle('active', this.visible);
+        this.scheduleDraw();
+    }
+
+    // Centers the view on the board point under the pointer
+    panTo(e) {
+        const rect = this.surface.getBoundingClientRect();
+        const container = this.container.getBoundingClientRect();
+        const x = this.view.x + (e.clientX - rect.left) / this.view.scale;
+        const y = this.view.y + (e.clientY - rect.top) / this.view.scale;
+        state.panX = container.width / 2 - x * state.zoom;
+        state.panY = container.height / 2 - y * state.zoom;
+        canvasController.updateTransform();
+    }
+
+    getPinColor(pin) {
+        const tag = (pin.tags || []).find(name => state.getTagColor(name));
+        return tag ? state.getTagColor(tag) : (PinTypes.get(pin.type) || PinTypes.DEFAULTS).color;
+    }
+
+    // Draws at most once a frame however many changes come in
+    scheduleDraw() {
+        if (this.drawFrame || !this.visible) return;
+        this.drawFrame = requestAnimationFrame(() => {
+            this.drawFrame = null;
+            this.draw();
+        });
+    }
+
+    // The minimap fits the pins and the view together, so the view outline never leaves it
+    fitView(pins, viewport) {
+        const padding = Minimap.PADDING;
+        const box = boundingBox([...pins.map(pinBounds), viewport]);
+        const scale = Math.min(
+            Minimap.WIDTH / (box.width + padding * 2),
+            Minimap.HEIGHT / (box.height + padding * 2)
+        );
+        return {
+            x: box.x + box.width / 2 - Minimap.WIDTH / scale / 2,
+            y: box.y + box.height / 2 - Minimap.HEIGHT / scale / 2,
+            scale
+        };
+    }
+
+    draw() {
+        if (!this.visible || !this.context) return;
+
+        const pins = state.getFilteredPins();
+        const viewport = canvasController.getViewport();
+        if (this.activePointer === null || !this.view) this.view = this.fitView(pins, viewport);
+
+        const { x, y, scale } = this.view;
+        const ratio = this.surface.width / Minimap.WIDTH;
+        const ctx = this.context;
+        const toRect = (rect) => [
+            (rect.x - x) * scale,
+            (rect.y - y) * scale,
+            Math.max(2, rect.width * scale),
+            Math.max(2, rect.height * scale)
+        ];
+
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, Minimap.WIDTH, Minimap.HEIGHT);
+
+        // Frames go underneath as outlines so the pins inside them stay visible
+        pins.filter(pin => pin.type === 'frame').forEach(pin => {
+            const color = this.getPinColor(pin);
+            ctx.globalAlpha = 0.15;
+            ctx.fillStyle = color;
+            ctx.fillRect(...toRect(pinBounds(pin)));
+            ctx.globalAlpha = 1;
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1;
+            ctx.strokeRect(...toRect(pinBounds(pin)));
+        });
+        pins.filter(pin => pin.type !== 'frame').sort(BoardState.compareStacking).forEach(pin => {
+            ctx.fillStyle = this.getPinColor(pin);
+            ctx.globalAlpha = boardRenderer.selectedPins.has(pin.id) ? 1 : 0.7;
+            ctx.fillRect(...toRect(pin));
+        });
+        ctx.globalAlpha = 1;
+
+        const accent = getComputedStyle(document.documentElement).getPropertyValue('--primary-500').trim();
+        ctx.strokeStyle = accent || 'hsl(260, 90%, 65%)';
+        ctx.lineWidth = 1.5;
+        ctx.strokeRect(...toRect(viewport));
+    }
+}
+
+// ===== Search =====
+// A palette that searches text pin content, list items and tags, and steps through the matching pins
+class SearchController {
+    static SNIPPET_CONTEXT = 30;
+    static MAX_RESULTS = 100;
+
+    constructor() {
+        this.palette = document.getElementById('searchPalette');
+        this.input = document.getElementById('searchInput');
+        this.resultsList = document.getElementById('searchResults');
+        this.count = document.getElementById('searchCount');
+        this.results = [];
+        this.current = -1;
+        // { boardState, pinId } of a hidden match being shown; see reveal
+        this.revealed = null;
+        this.attachEvents();
+    }
+
+    attachEvents() {
+        this.input.addEventListener('input', () => this.search(this.input.value));
+        this.input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.step(e.shiftKey ? -1 : 1);
+            } else if (e.key === 'ArrowDown') {
+                e.preventDefault();
+                this.step(1);
+            } else if (e.key === 'ArrowUp') {
+                e.preventDefault();
+                this.step(-1);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.close();
+            }
+        });
+        document.getElementById('closeSearch').onclick = () => this.close();
+    }
+
+    isOpen() {
+        return this.palette.classList.contains('active');
+    }
+
+    open() {
+        this.palette.classList.add('active');
+        this.input.focus();
+        this.input.select();
+        this.search(this.input.value);
+    }
+
+    close() {
+        this.palette.classList.remove('active');
+        this.input.blur();
+        this.results = [];
+        this.current = -1;
+        this.reveal(null);
+        this.updateHighlights();
+    }
+
+    // One result per pin, using the first field that matches
+    search(query) {
+        const needle = query.trim().toLowerCase();
+        this.results = [];
+        this.current = -1;
+        this.reveal(null);
+
+        if (needle) {
+            state.getAllPins().forEach(pin => {
+                const match = SearchController.matchPin(pin, needle);
+                if (match) this.results.push({ pinId: pin.id, ...match });
+            });
         }
 
-        return container;
+        this.renderResults(needle);
+        this.updateHighlights();
     }
 
-    createListContent(pin) {
-        const container = document.createElement('div');
+    static matchPin(pin, needle) {
+        const fields = [...PinTypes.searchText(pin)];
+        (pin.tags || []).forEach(tag => fields.push({ field: 'tag', text: tag }));
 
-        // Render existing items
-        if (pin.items && pin.items.length > 0) {
-            pin.items.forEach((item, index) => {
-                container.appendChild(this.createListItem(pin.id, item, index));
+        for (const { field, text } of fields) {
+            const index = text.toLowerCase().indexOf(needle);
+            if (index !== -1) {
+                return { field, snippet: SearchController.snippet(text, index, needle.length) };
+            }
+        }
+        return null;
+    }
+
+    // { before, match, after } around the match, trimmed to a few words of context on each side
+    static snippet(text, index, length) {
+        const context = SearchController.SNIPPET_CONTEXT;
+        const start = Math.max(0, index - context);
+        const end = Math.min(text.length, index + length + context);
+        const flatten = (value) => value.replace(/\s+/g, ' ');
+
+        return {
+            before: (start > 0 ? '…' : '') + flatten(text.slice(start, index)),
+            match: flatten(text.slice(index, index + length)),
+            after: flatten(text.slice(index + length, end)) + (end < text.length ? '…' : '')
+        };
+    }
+
+    renderResults(needle) {
+        this.resultsList.innerHTML = '';
+
+        if (!needle) {
+            this.count.textContent = '';
+            return;
+        }
+        this.count.textContent = this.results.length === 0
+            ? 'No matches'
+            : `${this.current + 1 || '–'} of ${this.results.length}`;
+
+        const labels = { text: 'Text', item: 'List item', tag: 'Tag', frame: 'Frame' };
+        this.results.slice(0, SearchController.MAX_RESULTS).forEach((result, index) => {
+            const row = document.createElement('button');
+            row.className = `search-result ${index === this.current ? 'active' : ''}`;
+
+            const kind = document.createElement('span');
+            kind.className = 'search-result-kind';
+            // Fields of custom pin types are shown by their own name
+            kind.textContent = labels[result.field] || result.field;
+
+            const text = document.createElement('span');
+            text.className = 'search-result-text';
+            const mark = document.createElement('mark');
+            mark.textContent = result.snippet.match;
+            text.append(result.snippet.before, mark, result.snippet.after);
+
+            row.append(kind, text);
+            row.onclick = () => this.goTo(index);
+            this.resultsList.appendChild(row);
+        });
+    }
+
+    step(direction) {
+        if (this.results.length === 0) return;
+        const next = this.current === -1
+            ? (direction > 0 ? 0 : this.results.length - 1)
+            : (this.current + direction + this.results.length) % this.results.length;
+        this.goTo(next);
+    }
+
+    goTo(index) {
+        this.current = index;
+        const pin = state.getPin(this.results[index].pinId);
+        if (!pin) return;
+
+        this.reveal(pin);
+        canvasController.centerOn(pin);
+        this.renderResults(this.input.value.trim().toLowerCase());
+        this.updateHighlights();
+
+        const activeRow = this.resultsList.querySelector('.search-result.active');
+        if (activeRow && activeRow.scrollIntoView) activeRow.scrollIntoView({ block: 'nearest' });
+    }
+
+    // A match hidden by the tag or frame filter, or inside a collapsed frame, is shown on its own
+    // until search moves on or closes. The board, its frames and the saved filter stay as they are.
+    reveal(pin) {
+        const previous = this.revealed;
+        if (previous) previous.boardState.revealedPin = null;
+        this.revealed = null;
+        if (pin && !state.matchesFilter(pin)) {
+            state.revealedPin = pin.id;
+            this.revealed = { boardState: state, pinId: pin.id };
+        }
+
+        const ids = [];
+        if (previous && previous.boardState === state) ids.push(previous.pinId);
+        if (this.revealed) ids.push(pin.id);
+        if (ids.length > 0) boardRenderer.refreshPins(ids);
+    }
+
+    updateHighlights() {
+        boardRenderer.getPinElements().forEach(element => this.decoratePin(element));
+    }
+
+    decoratePin(element) {
+        const currentId = this.current === -1 ? null : this.results[this.current].pinId;
+        element.classList.toggle('search-match', this.results.some(result => result.pinId === element.id));
+        element.classList.toggle('search-current', element.id === currentId);
+    }
+}
+
+// ===== Snapping =====
+// While pins are moved or resized, their edges and centres snap to those of other visible pins
+// (showing a guide line), or failing that to the grid when grid snapping is on. Holding Alt bypasses both.
+class SnapController {
+    static GUIDE_THRESHOLD = 6;
+    static DEFAULT_GRID_SIZE = 30;
+
+    constructor() {
+        this.canvas = document.getElementById('canvas');
+        this.toggleButton = document.getElementById('snapToggle');
+        this.sizeSelect = document.getElementById('gridSize');
+
+        const saved = SnapController.loadSettings();
+        this.gridEnabled = saved.gridEnabled;
+        this.gridSize = saved.gridSize;
+
+        this.attachEvents();
+        this.updateControls();
+    }
+
+    static loadSettings() {
+        const settings = { gridEnabled: false, gridSize: SnapController.DEFAULT_GRID_SIZE };
+        try {
+            const saved = JSON.parse(localStorage.getItem('freeboard_snap')) || {};
+            settings.gridEnabled = saved.gridEnabled === true;
+            if (Number.isFinite(saved.gridSize) && saved.gridSize > 0) settings.gridSize = saved.gridSize;
+        } catch (error) {
+            console.error('Failed to read snap settings:', error);
+        }
+        return settings;
+    }
+
+    attachEvents() {
+        this.toggleButton.onclick = () => {
+            this.gridEnabled = !this.gridEnabled;
+            this.save();
+        };
+        this.sizeSelect.onchange = (e) => {
+            this.gridSize = parseInt(e.target.value, 10);
+            this.save();
+        };
+    }
+
+    save() {
+        localStorage.setItem('freeboard_snap', JSON.stringify({ gridEnabled: this.gridEnabled, gridSize: this.gridSize }));
+        this.updateControls();
+    }
+
+    // The dot grid is shifted by half a cell so its dots sit on the snapping positions
+    updateControls() {
+        this.toggleButton.classList.toggle('active', this.gridEnabled);
+        this.sizeSelect.value = this.gridSize;
+        this.canvas.style.backgroundSize = `${this.gridSize}px ${this.gridSize}px`;
+        this.canvas.style.backgroundPosition = `${-this.gridSize / 2}px ${-this.gridSize / 2}px`;
+    }
+
+    // `items` are the dragged pins with their start positions; returns the snapped deltas
+    snapMove(items, deltaX, deltaY, bypass) {
+        this.clearGuides();
+        if (bypass) return { deltaX, deltaY };
+
+        const box = boundingBox(items.map(item => ({
+            x: item.startX + deltaX,
+            y: item.startY + deltaY,
+            width: item.pin.width,
+            height: item.pin.height
+        })));
+        const others = this.getOtherPins(items.map(item => item.pin.id));
+
+        const matchX = this.findMatch([box.x, box.x + box.width / 2, box.x + box.width], others, 'x');
+        const matchY = this.findMatch([box.y, box.y + box.height / 2, box.y + box.height], others, 'y');
+        const shiftX = matchX ? matchX.shift : this.gridShift(box.x);
+        const shiftY = matchY ? matchY.shift : this.gridShift(box.y);
+
+        const snapped = { ...box, x: box.x + shiftX, y: box.y + shiftY };
+        this.showGuides(snapped, matchX, matchY, others);
+        return { deltaX: deltaX + shiftX, deltaY: deltaY + shiftY };
+    }
+
+    // Snaps the right and bottom edges, which are the ones the resize handle moves
+    snapResize(pinId, rect, bypass) {
+        this.clearGuides();
+        if (bypass) return { width: rect.width, height: rect.height };
+
+        const others = this.getOtherPins([pinId]);
+        const matchX = this.findMatch([rect.x + rect.width], others, 'x');
+        const matchY = this.findMatch([rect.y + rect.height], others, 'y');
+        const width = rect.width + (matchX ? matchX.shift : this.gridShift(rect.x + rect.width));
+        const height = rect.height + (matchY ? matchY.shift : this.gridShift(rect.y + rect.height));
+
+        this.showGuides({ ...rect, width, height }, matchX, matchY, others);
+        return { width, height };
+    }
+
+    getOtherPins(ids) {
+        const excluded = new Set(ids);
+        return state.getFilteredPins().filter(pin => !excluded.has(pin.id));
+    }
+
+    // Smallest shift, within the threshold, that lines one of `values` up with an edge or centre of another pin
+    findMatch(values, others, axis) {
+        const threshold = SnapController.GUIDE_THRESHOLD / state.zoom;
+        let best = null;
+
+        others.forEach(pin => {
+            SnapController.edges(pin, axis).forEach(target => {
+                values.forEach(value => {
+                    const shift = target - value;
+                    if (Math.abs(shift) <= threshold && (!best || Math.abs(shift) < Math.abs(best.shift))) {
+                        best = { shift, at: target };
+                    }
+                });
             });
+        });
+        return best;
+    }
+
+    gridShift(value) {
+        if (!this.gridEnabled) return 0;
+        return Math.round(value / this.gridSize) * this.gridSize - value;
+    }
+
+    static edges(rect, axis) {
+        return axis === 'x'
+            ? [rect.x, rect.x + rect.width / 2, rect.x + rect.width]
+            : [rect.y, rect.y + rect.height / 2, rect.y + rect.height];
+    }
+
+    // A guide spans the snapped rectangle and every pin that has an edge or centre on the same line
+    showGuides(rect, matchX, matchY, others) {
+        if (matchX) {
+            const aligned = others.filter(pin => SnapController.edges(pin, 'x').some(edge => Math.abs(edge - matchX.at) < 0.5));
+            const extent = boundingBox([rect, ...aligned]);
+            this.addGuide('vertical', matchX.at, extent.y, extent.height);
+        }
+        if (matchY) {
+            const aligned = others.filter(pin => SnapController.edges(pin, 'y').some(edge => Math.abs(edge - matchY.at) < 0.5));
+            const extent = boundingBox([rect, ...aligned]);
+            this.addGuide('horizontal', matchY.at, extent.x, extent.width);
         }
+    }
 
-        // Add item button
-        const addBtn = document.createElement('button');
-        addBtn.className = 'add-list-item';
-        addBtn.innerHTML = `
-            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <line x1="12" y1="5" x2="12" y2="19"/>
-                <line x1="5" y1="12" x2="19" y2="12"/>
-            </svg>
-            Add item
-        `;
-        addBtn.onclick = () => this.addListItem(pin.id);
+    addGuide(orientation, position, start, length) {
+        const guide = document.createElement('div');
+        guide.className = `snap-guide ${orientation}`;
+        if (orientation === 'vertical') {
+            guide.style.left = `${position}px`;
+            guide.style.top = `${start}px`;
+            guide.style.height = `${length}px`;
+        } else {
+            guide.style.top = `${position}px`;
+            guide.style.left = `${start}px`;
+            guide.style.width = `${length}px`;
+        }
+        this.canvas.appendChild(guide);
+    }
+
+    clearGuides() {
+        this.canvas.querySelectorAll('.snap-guide').forEach(guide => guide.remove());
+    }
+}
 
-        container.appendChild(addBtn);
+function boundingBox(rects) {
+    const left = Math.min(...rects.map(rect => rect.x));
+    const top = Math.min(...rects.map(rect => rect.y));
+    const right = Math.max(...rects.map(rect => rect.x + rect.width));
+    const bottom = Math.max(...rects.map(rect => rect.y + rect.height));
+    return { x: left, y: top, width: right - left, height: bottom - top };
+}
 
-        return container;
+// ===== Clipboard =====
+// Copy, cut and paste of pins through the browser's clipboard events, so Ctrl+C/X/V work as
+// usual and text fields keep their own behaviour. Copied pins are written as FreeBoard JSON
+// plus plain text for other apps; images and text pasted from elsewhere become new pins.
+const CLIPBOARD_TYPE = 'application/x-freeboard-pins';
+const LIST_LINE = /^\s*(?:[-*+•]|\d+[.)])\s+(?:\[([ xX])\]\s+)?(.*)$/;
+
+class ClipboardController {
+    static PASTE_OFFSET = 20;
+
+    constructor() {
+        this.container = document.getElementById('canvasContainer');
+        // The last copy, for browsers that drop custom clipboard types: { text, data }
+        this.copied = null;
+        // Pointer position in board coordinates while it is over the canvas
+        this.pointer = null;
+        // Where the last paste went, so pasting again without moving steps aside: { x, y, count }
+        this.lastPaste = null;
+        this.attachEvents();
     }
 
-    createListItem(pinId, item, index) {
-        const itemElement = document.createElement('div');
-        itemElement.className = 'list-item';
+    attachEvents() {
+        this.container.addEventListener('pointermove', (e) => {
+            this.pointer = canvasController.toBoardPoint(e.clientX, e.clientY);
+        });
+        this.container.addEventListener('pointerleave', () => {
+            this.pointer = null;
+        });
+        document.addEventListener('copy', (e) => this.handleCopy(e, false));
+        document.addEventListener('cut', (e) => this.handleCopy(e, true));
+        document.addEventListener('paste', (e) => this.handlePaste(e));
+    }
 
-        const checkbox = document.createElement('input');
-        checkbox.type = 'checkbox';
-        checkbox.className = 'list-checkbox';
-        checkbox.checked = item.completed || false;
-        checkbox.onchange = (e) => {
-            const pin = state.getPin(pinId);
-            pin.items[index].completed = e.target.checked;
-            state.updatePin(pinId, { items: pin.items });
-            this.renderPin(pin);
-        };
+    // Text fields, and text selected in a rendered pin, keep the browser's own copy and paste
+    isTextTarget(e) {
+        const target = e.target;
+        if (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable) return true;
+        const selection = window.getSelection();
+        return e.type !== 'paste' && Boolean(selection) && !selection.isCollapsed;
+    }
 
-        const text = document.createElement('input');
-        text.type = 'text';
-        text.className = `list-text ${item.completed ? 'completed' : ''}`;
-        text.value = item.text || '';
-        text.placeholder = 'List item...';
-        text.oninput = (e) => {
-            const pin = state.getPin(pinId);
-            pin.items[index].text = e.target.value;
-            state.updatePin(pinId, { items: pin.items });
+    // The selection, or else the pin that has keyboard focus, with the contents of any frames
+    getCopyTargets() {
+        let pins = boardRenderer.getSelectedPins();
+        if (pins.length === 0) {
+            const focused = state.getPin(boardRenderer.getFocusedPinId());
+            pins = focused ? [focused] : [];
+        }
+        return state.withFrameContents(pins);
+    }
+
+    handleCopy(e, cut) {
+        if (this.isTextTarget(e)) return;
+        const pins = this.getCopyTargets();
+        if (pins.length === 0) return;
+        e.preventDefault();
+
+        const ids = new Set(pins.map(pin => pin.id));
+        const data = {
+            pins: cloneValue(pins),
+            connectors: cloneValue(state.getAllConnectors().filter(connector => ids.has(connector.from) && ids.has(connector.to)))
         };
+        const text = pins.map(pin => PinTypes.toText(pin)).filter(Boolean).join('\n\n');
+        e.clipboardData.setData(CLIPBOARD_TYPE, JSON.stringify(data));
+        e.clipboardData.setData('text/plain', text);
+        this.copied = { text, data };
+        this.lastPaste = null;
+
+        // Cutting copies locked pins but leaves them on the board
+        const removed = cut ? Array.from(ids).filter(id => !boardRenderer.isLocked(id)) : [];
+        if (cut && removed.length < ids.size) {
+            showToast('Locked pins were copied but left in place.', { key: 'locked' });
+        }
+        if (removed.length > 0) {
+            state.deletePins(removed, Commands.groupLabel('cut', removed.length));
+            boardRenderer.refreshPins(removed);
+        }
+    }
 
-        const deleteBtn = document.createElement('button');
-        deleteBtn.className = 'list-delete';
-        deleteBtn.innerHTML = `
-            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <line x1="18" y1="6" x2="6" y2="18"/>
-                <line x1="6" y1="6" x2="18" y2="18"/>
-            </svg>
-        `;
-        deleteBtn.onclick = () => this.deleteListItem(pinId, index);
+    handlePaste(e) {
+        if (this.isTextTarget(e) || !e.clipboardData) return;
 
-        itemElement.appendChild(checkbox);
-        itemElement.appendChild(text);
-        itemElement.appendChild(deleteBtn);
+        const clipboard = e.clipboardData;
+        const text = clipboard.getData('text/plain');
+        const images = Array.from(clipboard.files || []).filter(file => file.type.startsWith('image/'));
 
-        return itemElement;
-    }
+        let data = ClipboardController.parse(clipboard.getData(CLIPBOARD_TYPE));
+        if (!data && this.copied && images.length === 0 && text === this.copied.text) {
+            data = this.copied.data;
+        }
 
-    addListItem(pinId) {
-        const pin = state.getPin(pinId);
-        if (!pin.items) pin.items = [];
-        pin.items.push({ text: '', completed: false });
-        state.updatePin(pinId, { items: pin.items });
-        this.renderPin(pin);
+        if (data) {
+            e.preventDefault();
+            this.pastePins(data);
+        } else if (images.length > 0) {
+            e.preventDefault();
+            this.pasteImages(images);
+        } else if (text.trim()) {
+            e.preventDefault();
+            this.pasteText(text);
+        }
     }
 
-    deleteListItem(pinId, index) {
-        const pin = state.getPin(pinId);
-        pin.items.splice(index, 1);
-        state.updatePin(pinId, { items: pin.items });
-        this.renderPin(pin);
+    // Under the pointer, or the middle of the view when it isn't over the canvas
+    getPastePoint() {
+        let point = this.pointer;
+        if (!point) {
+            const rect = this.container.getBoundingClientRect();
+            point = canvasController.toBoardPoint(rect.left + rect.width / 2, rect.top + rect.height / 2);
+        }
+
+        const last = this.lastPaste;
+        const count = last && last.x === point.x && last.y === point.y ? last.count + 1 : 0;
+        this.lastPaste = { x: point.x, y: point.y, count };
+        const offset = count * ClipboardController.PASTE_OFFSET;
+        return { x: point.x + offset, y: point.y + offset };
     }
 
-    handleImageUpload(event, pinId) {
-        const file = event.target.files[0];
-        if (file && file.type.startsWith('image/')) {
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                const img = new Image();
-                img.onload = () => {
-                    const pin = state.getPin(pinId);
-                    state.updatePin(pinId, {
-                        imageUrl: e.target.result,
-                        imageWidth: img.width,
-                        imageHeight: img.height,
-                        width: Math.max(300, Math.min(600, img.width)),
-                        height: Math.max(200, Math.min(600, img.height))
-                    });
-                    this.renderPin(state.getPin(pinId));
-                };
-                img.src = e.target.result;
-            };
-            reader.readAsDataURL(file);
+    // Keeps the pins' layout, centred on the paste point, with fresh ids
+    async pastePins(data) {
+        const point = this.getPastePoint();
+        const box = boundingBox(data.pins);
+        const dx = Math.round(point.x - box.x - box.width / 2);
+        const dy = Math.round(point.y - box.y - box.height / 2);
+
+        const pinIds = new Map();
+        const pins = data.pins.map(pin => {
+            const copy = PinFactory.duplicatePin(pin, dx, dy);
+            pinIds.set(pin.id, copy.id);
+            return copy;
+        });
+        PinFactory.relinkFrames(pins, pinIds);
+        const connectors = data.connectors
+            .filter(connector => pinIds.has(connector.from) && pinIds.has(connector.to))
+            .map(connector => PinFactory.duplicateConnector(connector, pinIds));
+
+        try {
+            await imageLibrary.load(collectImageIds(pins));
+        } catch (error) {
+            console.error('Failed to load pasted images:', error);
         }
+        this.addPins(pins, connectors);
     }
 
-    addTag(pinId) {
-        const tag = prompt('Enter tag name:');
-        if (tag && tag.trim()) {
-            const pin = state.getPin(pinId);
-            if (!pin.tags) pin.tags = [];
-            if (!pin.tags.includes(tag.trim())) {
-                pin.tags.push(tag.trim());
-                state.updatePin(pinId, { tags: pin.tags });
-                this.renderPin(pin);
+    async pasteImages(files) {
+        const point = this.getPastePoint();
+        const pins = [];
+        for (const file of files) {
+            let image;
+            try {
+                image = await imageLibrary.addFile(file);
+            } catch (error) {
+                reportStorageError(error);
+                return;
             }
+            if (!image) continue;
+
+            const pin = { ...PinFactory.createImagePin(0, 0), ...PinFactory.imageFields(image) };
+            const offset = pins.length * ClipboardController.PASTE_OFFSET;
+            pin.x = Math.round(point.x - pin.width / 2 + offset);
+            pin.y = Math.round(point.y - pin.height / 2 + offset);
+            pins.push(pin);
         }
+        if (pins.length > 0) this.addPins(pins);
     }
 
-    removeTag(pinId, tag) {
-        const pin = state.getPin(pinId);
-        pin.tags = pin.tags.filter(t => t !== tag);
-        state.updatePin(pinId, { tags: pin.tags });
-        this.renderPin(pin);
+    // Bullet or numbered lines become a list pin; anything else a text pin
+    pasteText(text) {
+        const point = this.getPastePoint();
+        const items = ClipboardController.parseList(text);
+        const pin = items
+            ? { ...PinFactory.createListPin(0, 0), items }
+            : { ...PinFactory.createTextPin(0, 0), content: text };
+        pin.x = Math.round(point.x - pin.width / 2);
+        pin.y = Math.round(point.y - pin.height / 2);
+        this.addPins([pin]);
     }
 
-    deletePin(pinId) {
-        if (confirm('Delete this pin?')) {
-            state.deletePin(pinId);
-            const element = document.getElementById(pinId);
-            if (element) element.remove();
-        }
+    addPins(pins, connectors = []) {
+        state.addPins(pins, Commands.groupLabel('paste', pins.length), connectors);
+        boardRenderer.refreshPins(pins.map(pin => pin.id));
+        boardRenderer.setSelection(pins.map(pin => pin.id).filter(id => boardRenderer.isPinShown(id)));
     }
 
-    attachPinEvents(pinElement, pin) {
-        const header = pinElement.querySelector('.pin-header');
-        const resizeHandle = pinElement.querySelector('.resize-handle');
+    static parse(json) {
+        if (!json) return null;
+        try {
+            const data = JSON.parse(json);
+            if (!Array.isArray(data.pins) || data.pins.length === 0 || !Array.isArray(data.connectors)) return null;
+
+            data.pins = data.pins.map(pin => PinTypes.migrate(pin));
+            // In memory, image pins point at a stored blob instead of carrying a data URL
+            data.pins.forEach((pin, index) => BoardFile.validatePin(
+                pin && pin.type === 'image' ? { ...pin, imageUrl: null } : pin,
+                `pins[${index}]`
+            ));
+            const ids = new Set(data.pins.map(pin => pin.id));
+            data.connectors.forEach((connector, index) => BoardFile.validateConnector(connector, `connectors[${index}]`, ids));
+            return data;
+        } catch (error) {
+            console.error('Ignoring unreadable clipboard pins:', error);
+            return null;
+        }
+    }
 
-        // Dragging
-        let isDragging = false;
-        let dragStartX, dragStartY, pinStartX, pinStartY;
+    static parseList(text) {
+        const lines = text.split(/\r?\n/).filter(line => line.trim());
+        if (lines.length < 2) return null;
 
-        header.addEventListener('mousedown', (e) => {
-            if (e.target.closest('.pin-btn') || e.target.closest('.pin-tag')) return;
+        const matches = lines.map(line => line.match(LIST_LINE));
+        if (!matches.every(Boolean)) return null;
+        return matches.map(match => ({ text: match[2].trim(), completed: Boolean(match[1]) && match[1] !== ' ' }));
+    }
+}
 
-            isDragging = true;
-            pinElement.classList.add('dragging');
+// ===== File Drop =====
+// Files dropped on the canvas become pins where they land: images as image pins and .txt or
+// .md files as text pins. An image dropped on an empty image pin fills that pin instead.
+const TEXT_FILE_PATTERN = /\.(txt|md|markdown)$/i;
+const MARKDOWN_FILE_PATTERN = /\.(md|markdown)$/i;
 
-            const rect = pinElement.getBoundingClientRect();
-            const canvasRect = this.canvas.getBoundingClientRect();
+class DropController {
+    static MAX_TEXT_SIZE = 1024 * 1024;
+    static GRID_COLUMNS = 4;
+    static GAP = 20;
 
-            dragStartX = e.clientX;
-            dragStartY = e.clientY;
-            pinStartX = (rect.left - canvasRect.left) / state.zoom;
-            pinStartY = (rect.top - canvasRect.top) / state.zoom;
+    constructor() {
+        this.container = document.getElementById('canvasContainer');
+        this.targetPin = null;
+        this.attachEvents();
+    }
 
+    attachEvents() {
+        this.container.addEventListener('dragover', (e) => {
+            if (!this.hasFiles(e)) return;
             e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            this.container.classList.add('drop-active');
+            this.setTargetPin(this.getEmptyImagePin(e.target));
         });
+        this.container.addEventListener('dragleave', (e) => {
+            if (!this.container.contains(e.relatedTarget)) this.clearDropState();
+        });
+        this.container.addEventListener('drop', (e) => {
+            if (!this.hasFiles(e)) return;
+            e.preventDefault();
+            this.clearDropState();
+            this.handleDrop(e);
+        });
+    }
 
-        document.addEventListener('mousemove', (e) => {
-            if (!isDragging) return;
-
-            const deltaX = (e.clientX - dragStartX) / state.zoom;
-            const deltaY = (e.clientY - dragStartY) / state.zoom;
+    hasFiles(e) {
+        return Boolean(e.dataTransfer) && Array.from(e.dataTransfer.types || []).includes('Files');
+    }
 
-            const newX = pinStartX + deltaX;
-            const newY = pinStartY + deltaY;
+    getEmptyImagePin(target) {
+        const element = target instanceof Element ? target.closest('.pin') : null;
+        const pin = element ? state.getPin(element.id) : null;
+        return pin && pin.type === 'image' && !pin.imageId && !pin.locked ? pin : null;
+    }
 
-            pinElement.style.left = `${newX}px`;
-            pinElement.style.top = `${newY}px`;
-        });
+    setTargetPin(pin) {
+        const id = pin ? pin.id : null;
+        if (id === this.targetPin) return;
+        if (this.targetPin) {
+            const previous = document.getElementById(this.targetPin);
+            if (previous) previous.classList.remove('drop-target');
+        }
+        this.targetPin = id;
+        if (id) document.getElementById(id).classList.add('drop-target');
+    }
 
-        document.addEventListener('mouseup', () => {
-            if (isDragging) {
-                isDragging = false;
-                pinElement.classList.remove('dragging');
+    clearDropState() {
+        this.container.classList.remove('drop-active');
+        this.setTargetPin(null);
+    }
 
-                const x = parseFloat(pinElement.style.left);
-                const y = parseFloat(pinElement.style.top);
+    async handleDrop(e) {
+        const files = Array.from(e.dataTransfer.files);
+        const accepted = files.filter(file => DropController.isImage(file) || DropController.isText(file));
+        const rejected = files.filter(file => !accepted.includes(file));
+        const point = canvasController.toBoardPoint(e.clientX, e.clientY);
+        let targetPin = this.getEmptyImagePin(e.target);
+
+        const pins = [];
+        const failed = [];
+        for (const [index, file] of accepted.entries()) {
+            if (accepted.length > 1) {
+                showToast(`Adding files... (${index + 1} of ${accepted.length})`, { key: 'drop', duration: 0 });
+            }
 
-                state.updatePin(pin.id, { x, y });
+            if (targetPin && DropController.isImage(file)) {
+                const pinId = targetPin.id;
+                targetPin = null;
+                if (!(await boardRenderer.setPinImage(pinId, file))) failed.push(file);
+                continue;
             }
-        });
 
-        // Resizing
-        let isResizing = false;
-        let resizeStartX, resizeStartY, startWidth, startHeight;
+            const pin = await this.createPin(file);
+            if (pin) {
+                pins.push(pin);
+            } else {
+                failed.push(file);
+            }
+        }
 
-        resizeHandle.addEventListener('mousedown', (e) => {
-            isResizing = true;
-            resizeStartX = e.clientX;
-            resizeStartY = e.clientY;
-            startWidth = pinElement.offsetWidth;
-            startHeight = pinElement.offsetHeight;
-            e.stopPropagation();
-            e.preventDefault();
-        });
+        if (pins.length > 0) {
+            this.layoutPins(pins, point);
+            state.addPins(pins, Commands.groupLabel('add pin', pins.length));
+            boardRenderer.refreshPins(pins.map(pin => pin.id));
+            boardRenderer.setSelection(pins.map(pin => pin.id).filter(id => boardRenderer.isPinShown(id)));
+        }
+        this.report(accepted.length, rejected, failed);
+    }
 
-        document.addEventListener('mousemove', (e) => {
-            if (!isResizing) return;
+    // Resolves to the new pin (without a position), or null if the file could not be read
+    async createPin(file) {
+        if (DropController.isImage(file)) {
+            let image;
+            try {
+                image = await imageLibrary.addFile(file);
+            } catch (error) {
+                reportStorageError(error);
+                return null;
+            }
+            return image ? { ...PinFactory.createImagePin(0, 0), ...PinFactory.imageFields(image) } : null;
+        }
 
-            const deltaX = (e.clientX - resizeStartX) / state.zoom;
-            const deltaY = (e.clientY - resizeStartY) / state.zoom;
+        if (file.size > DropController.MAX_TEXT_SIZE) return null;
+        try {
+            const content = await file.text();
+            const pin = { ...PinFactory.createTextPin(0, 0), content };
+            if (MARKDOWN_FILE_PATTERN.test(file.name)) pin.markdown = true;
+            return pin;
+        } catch (error) {
+            console.error(`Failed to read ${file.name}:`, error);
+            return null;
+        }
+    }
 
-            let newWidth = startWidth + deltaX;
-            let newHeight = startHeight + deltaY;
+    // Rows of up to GRID_COLUMNS pins, starting at the drop point
+    layoutPins(pins, point) {
+        let x = point.x;
+        let y = point.y;
+        let rowHeight = 0;
+        pins.forEach((pin, index) => {
+            if (index > 0 && index % DropController.GRID_COLUMNS === 0) {
+                x = point.x;
+                y += rowHeight + DropController.GAP;
+                rowHeight = 0;
+            }
+            pin.x = Math.round(x);
+            pin.y = Math.round(y);
+            x += pin.width + DropController.GAP;
+            rowHeight = Math.max(rowHeight, pin.height);
+        });
+    }
 
-            // Minimum constraints
-            newWidth = Math.max(200, newWidth);
-            newHeight = Math.max(100, newHeight);
+    report(acceptedCount, rejected, failed) {
+        const toast = document.querySelector('#toastContainer [data-key="drop"]');
+        if (toast) toast.remove();
 
-            // Image constraints
-            if (pin.type === 'image' && pin.imageWidth && pin.imageHeight) {
-                newWidth = Math.max(pin.imageWidth, newWidth);
-                newHeight = Math.max(pin.imageHeight, newHeight);
-            }
+        if (acceptedCount > 1) {
+            showToast(`Added ${acceptedCount - failed.length} of ${acceptedCount} files.`, { key: 'drop' });
+        }
+        if (rejected.length > 0) {
+            showToast(`Can't add ${DropController.listNames(rejected)}: drop images, .txt or .md files.`, { type: 'error' });
+        }
+        if (failed.length > 0) {
+            showToast(`Couldn't read ${DropController.listNames(failed)}.`, { type: 'error' });
+        }
+    }
 
-            pinElement.style.width = `${newWidth}px`;
-            pinElement.style.height = `${newHeight}px`;
-        });
+    static listNames(files) {
+        const names = files.slice(0, 3).map(file => `"${file.name}"`).join(', ');
+        return files.length > 3 ? `${names} and ${files.length - 3} more` : names;
+    }
 
-        document.addEventListener('mouseup', () => {
-            if (isResizing) {
-                isResizing = false;
+    static isImage(file) {
+        return file.type.startsWith('image/');
+    }
 
-                const width = pinElement.offsetWidth;
-                const height = pinElement.offsetHeight;
+    static isText(file) {
+        return file.type === 'text/plain' || file.type === 'text/markdown' || TEXT_FILE_PATTERN.test(file.name);
+    }
+}
 
-                state.updatePin(pin.id, { width, height });
-            }
-        });
+// ===== Automatic Snapshots =====
+// While a board keeps changing it gets a snapshot every `interval` minutes, and restoring a
+// snapshot saves the board first. These automatic snapshots are deleted once there are more
+// than `keepCount` of them or they are older than `keepDays` days (0 keeps them however old);
+// snapshots saved by hand are kept until deleted.
+const SNAPSHOT_INTERVALS = [0, 5, 10, 30, 60];
+const SNAPSHOT_KEEP_COUNTS = [5, 10, 20, 50];
+const SNAPSHOT_KEEP_DAYS = [7, 30, 90, 0];
+
+class AutoSnapshots {
+    static SETTINGS_KEY = 'freeboard_snapshot_settings';
+    static DEFAULT_SETTINGS = { interval: 10, keepCount: 20, keepDays: 30 };
+    static CHECK_INTERVAL = 60 * 1000;
+    static DAY = 24 * 60 * 60 * 1000;
 
-        // Selection
-        pinElement.addEventListener('click', (e) => {
-            if (e.target.closest('textarea') || e.target.closest('input')) return;
+    constructor() {
+        this.settings = AutoSnapshots.loadSettings();
+        this.busy = false;
+        setInterval(() => this.check(), AutoSnapshots.CHECK_INTERVAL);
+    }
 
-            document.querySelectorAll('.pin.selected').forEach(p => {
-                p.classList.remove('selected');
-            });
+    static loadSettings() {
+        const settings = { ...AutoSnapshots.DEFAULT_SETTINGS };
+        try {
+            const saved = JSON.parse(localStorage.getItem(AutoSnapshots.SETTINGS_KEY)) || {};
+            if (SNAPSHOT_INTERVALS.includes(saved.interval)) settings.interval = saved.interval;
+            if (SNAPSHOT_KEEP_COUNTS.includes(saved.keepCount)) settings.keepCount = saved.keepCount;
+            if (SNAPSHOT_KEEP_DAYS.includes(saved.keepDays)) settings.keepDays = saved.keepDays;
+        } catch (error) {
+            console.error('Failed to read snapshot settings:', error);
+        }
+        return settings;
+    }
 
-            pinElement.classList.add('selected');
-            this.selectedPin = pin.id;
-        });
+    updateSettings(settings) {
+        this.settings = settings;
+        localStorage.setItem(AutoSnapshots.SETTINGS_KEY, JSON.stringify(settings));
+        this.prune(state);
     }
 
-    renderTagList() {
-        const tagList = document.getElementById('tagList');
-        tagList.innerHTML = '';
+    // Snapshots the current board if it changed since its last snapshot and that is at least
+    // `interval` minutes old. Other tabs showing the board check the same snapshots, so only
+    // one of them takes it.
+    async check() {
+        if (this.busy || !this.settings.interval || !state) return;
+        const boardState = state;
+        this.busy = true;
+        try {
+            const snapshots = await boardState.getSnapshots();
+            const last = Math.max(0, ...snapshots.map(snapshot => Date.parse(snapshot.date)));
+            const now = Date.now();
+            if (boardState.lastChange > last && now - last >= this.settings.interval * 60 * 1000) {
+                await boardState.saveSnapshot(`Auto-save ${new Date(now).toLocaleString()}`, 'periodic');
+                await this.prune(boardState);
+            }
+        } catch (error) {
+            console.error('Failed to take an automatic snapshot:', error);
+        } finally {
+            this.busy = false;
+        }
+    }
 
-        Array.from(state.tags).forEach(tag => {
-            const button = document.createElement('button');
-            button.className = `tag-filter ${tag === state.activeTag ? 'active' : ''}`;
-            button.textContent = tag;
-            button.dataset.tag = tag;
-            button.onclick = () => {
-                state.activeTag = tag;
-                this.renderTagList();
-                this.renderAllPins();
-            };
-            tagList.appendChild(button);
-        });
+    async prune(boardState) {
+        const { keepCount, keepDays } = this.settings;
+        try {
+            const automatic = (await boardState.getSnapshots())
+                .filter(snapshot => snapshot.auto)
+                .sort((a, b) => Date.parse(b.date) - Date.parse(a.date));
+            const oldest = keepDays ? Date.now() - keepDays * AutoSnapshots.DAY : -Infinity;
+            const expired = automatic.filter((snapshot, index) => index >= keepCount || Date.parse(snapshot.date) < oldest);
+            if (expired.length > 0) await boardStore.deleteSnapshots(expired.map(snapshot => snapshot.id));
+        } catch (error) {
+            reportStorageError(error);
+        }
     }
 }
 
-// ===== Canvas Controller =====
-class CanvasController {
+// ===== Snapshot Comparison =====
+// Shows how the board differs from a snapshot. Pins added since are outlined green, moved or
+// resized ones blue and edited ones amber; pins deleted since appear as ghosts where they were,
+// and moved ones leave an outline at their old place. Changed and deleted pins can be restored
+// from the snapshot one at a time.
+// Fields whose change counts as moving a pin; stacking order doesn't count as a change at all
+const DIFF_GEOMETRY_KEYS = ['x', 'y', 'width', 'height', 'frameId'];
+const DIFF_IGNORED_KEYS = ['z'];
+
+class CompareController {
     constructor() {
-        this.container = document.getElementById('canvasContainer');
-        this.canvas = document.getElementById('canvas');
-        this.isPanning = false;
-        this.startX = 0;
-        this.startY = 0;
-        this.attachEvents();
+        this.bar = document.getElementById('compareBar');
+        this.summary = document.getElementById('compareSummary');
+        // { id, name, boardId, pins, connectors, tagStyles } of the snapshot being compared;
+        // `tagStyles` is null for snapshots saved before tag colors were kept
+        this.snapshot = null;
+        // Differences by pin id: { status: 'added' | 'changed' | 'removed', moved, edited, before }
+        this.changes = new Map();
+        this.unsubscribe = null;
+        this.refreshFrame = null;
+        document.getElementById('endCompare').onclick = () => this.end();
     }
 
-    attachEvents() {
-        // Pan
-        this.container.addEventListener('mousedown', (e) => {
-            if (e.target === this.container || e.target === this.canvas) {
-                this.isPanning = true;
-                this.startX = e.clientX - state.panX;
-                this.startY = e.clientY - state.panY;
-                this.container.classList.add('panning');
-            }
-        });
+    isActive() {
+        return this.snapshot !== null;
+    }
 
-        document.addEventListener('mousemove', (e) => {
-            if (this.isPanning) {
-                state.panX = e.clientX - this.startX;
-                state.panY = e.clientY - this.startY;
-                this.updateTransform();
+    // `snapshotPins` is the snapshot's list of pins, `pins` the board's
+    static diff(snapshotPins, pins) {
+        const saved = new Map(snapshotPins.map(pin => [pin.id, pin]));
+        const changes = new Map();
+
+        pins.forEach(pin => {
+            const before = saved.get(pin.id);
+            if (!before) {
+                changes.set(pin.id, { status: 'added', moved: false, edited: false, before: null });
+                return;
             }
+            let moved = false;
+            let edited = false;
+            new Set([...Object.keys(pin), ...Object.keys(before)]).forEach(key => {
+                if (DIFF_IGNORED_KEYS.includes(key) || isSameValue(pin[key], before[key])) return;
+                if (DIFF_GEOMETRY_KEYS.includes(key)) {
+                    moved = true;
+                } else {
+                    edited = true;
+                }
+            });
+            if (moved || edited) changes.set(pin.id, { status: 'changed', moved, edited, before });
         });
-
-        document.addEventListener('mouseup', () => {
-            if (this.isPanning) {
-                this.isPanning = false;
-                this.container.classList.remove('panning');
-                state.saveToStorage();
+        const current = new Set(pins.map(pin => pin.id));
+        snapshotPins.forEach(pin => {
+            if (!current.has(pin.id)) {
+                changes.set(pin.id, { status: 'removed', moved: false, edited: false, before: pin });
             }
         });
+        return changes;
+    }
 
-        // Zoom
-        this.container.addEventListener('wheel', (e) => {
-            e.preventDefault();
+    async start(snapshotId) {
+        const snapshot = await boardStore.getSnapshot(snapshotId);
+        if (!snapshot) return;
+
+        this.end();
+        this.snapshot = {
+            id: snapshot.id,
+            name: snapshot.name,
+            boardId: snapshot.boardId,
+            pins: snapshot.data.pins.map(entry => entry[1]),
+            connectors: snapshot.data.connectors || [],
+            tagStyles: snapshot.data.tagStyles || null
+        };
+        // Edits made while comparing update the comparison
+        this.unsubscribe = state.subscribe(() => this.scheduleRefresh());
+        this.bar.classList.add('active');
+        this.refresh();
+    }
 
-            const delta = e.deltaY > 0 ? 0.9 : 1.1;
-            const newZoom = Math.max(0.1, Math.min(3, state.zoom * delta));
+    end() {
+        if (!this.snapshot) return;
+        if (this.unsubscribe) this.unsubscribe();
+        cancelAnimationFrame(this.refreshFrame);
+        this.unsubscribe = null;
+        this.refreshFrame = null;
+        this.snapshot = null;
+        this.changes = new Map();
+
+        this.bar.classList.remove('active');
+        boardRenderer.diffLayer.innerHTML = '';
+        document.querySelectorAll('#canvas > .pin').forEach(element => this.decoratePin(element));
+    }
 
-            // Zoom towards mouse position
-            const rect = this.container.getBoundingClientRect();
-            const mouseX = e.clientX - rect.left;
-            const mouseY = e.clientY - rect.top;
+    scheduleRefresh() {
+        if (this.refreshFrame) return;
+        this.refreshFrame = requestAnimationFrame(() => {
+            this.refreshFrame = null;
+            if (this.snapshot) this.refresh();
+        });
+    }
 
-            const zoomRatio = newZoom / state.zoom;
-            state.panX = mouseX - (mouseX - state.panX) * zoomRatio;
-            state.panY = mouseY - (mouseY - state.panY) * zoomRatio;
-            state.zoom = newZoom;
+    refresh() {
+        this.changes = CompareController.diff(this.snapshot.pins, state.getAllPins());
+        document.querySelectorAll('#canvas > .pin').forEach(element => this.decoratePin(element));
+        this.renderGhosts();
+        this.renderSummary();
+    }
 
-            this.updateTransform();
-            this.updateZoomDisplay();
-            state.saveToStorage();
+    decoratePin(element) {
+        const change = this.changes.get(element.id);
+        element.classList.toggle('diff-added', Boolean(change && change.status === 'added'));
+        element.classList.toggle('diff-moved', Boolean(change && change.moved));
+        element.classList.toggle('diff-edited', Boolean(change && change.edited));
+
+        const button = element.querySelector(':scope > .diff-restore');
+        if (button) button.remove();
+        if (change && change.status === 'changed') {
+            element.appendChild(this.createRestoreButton(element.id, 'Put this pin back as it was in the snapshot'));
+        }
+    }
+
+    renderGhosts() {
+        const layer = boardRenderer.diffLayer;
+        layer.innerHTML = '';
+        this.changes.forEach((change, id) => {
+            if (change.status === 'added') return;
+            if (change.status === 'changed' && !change.moved) return;
+
+            const pin = change.before;
+            const ghost = document.createElement('div');
+            ghost.className = `diff-ghost ${change.status === 'removed' ? 'diff-removed' : 'diff-moved-from'}`;
+            ghost.style.left = `${pin.x}px`;
+            ghost.style.top = `${pin.y}px`;
+            ghost.style.width = `${pin.width}px`;
+            ghost.style.height = `${pin.type === 'frame' && pin.collapsed ? FRAME_COLLAPSED_HEIGHT : pin.height}px`;
+
+            if (change.status === 'removed') {
+                const label = document.createElement('div');
+                label.className = 'diff-ghost-label';
+                label.textContent = CompareController.describePin(pin);
+                ghost.append(label, this.createRestoreButton(id, 'Bring this deleted pin back'));
+            }
+            layer.appendChild(ghost);
         });
+    }
 
-        // Zoom buttons
-        document.getElementById('zoomIn').onclick = () => this.zoom(1.2);
-        document.getElementById('zoomOut').onclick = () => this.zoom(0.8);
-        document.getElementById('resetZoom').onclick = () => this.resetZoom();
+    renderSummary() {
+        const counts = { added: 0, removed: 0, moved: 0, edited: 0 };
+        this.changes.forEach(change => {
+            if (change.status === 'added') counts.added++;
+            if (change.status === 'removed') counts.removed++;
+            if (change.moved) counts.moved++;
+            if (change.edited) counts.edited++;
+        });
+        const parts = Object.keys(counts).filter(key => counts[key] > 0).map(key => `${counts[key]} ${key}`);
+        const recolored = this.countRecoloredTags();
+        if (recolored > 0) parts.push(`${recolored} tag color${recolored === 1 ? '' : 's'} changed`);
+        this.summary.textContent = `Since "${this.snapshot.name}": ${parts.length > 0 ? parts.join(', ') : 'no changes'}`;
     }
 
-    zoom(factor) {
-        state.zoom = Math.max(0.1, Math.min(3, state.zoom * factor));
-        this.updateTransform();
-        this.updateZoomDisplay();
-        state.saveToStorage();
+    countRecoloredTags() {
+        if (!this.snapshot.tagStyles) return 0;
+        const saved = new Map(this.snapshot.tagStyles.map(style => [style.id, style.color]));
+        const tags = new Set([...saved.keys(), ...state.tagStyles.keys()]);
+        return Array.from(tags).filter(tag => (saved.get(tag) || null) !== state.getTagColor(tag)).length;
     }
 
-    resetZoom() {
-        state.zoom = 1;
-        state.panX = 0;
-        state.panY = 0;
-        this.updateTransform();
-        this.updateZoomDisplay();
-        state.saveToStorage();
+    createRestoreButton(pinId, title) {
+        const button = document.createElement('button');
+        button.className = 'diff-restore';
+        button.textContent = 'Restore';
+        button.title = title;
+        button.addEventListener('pointerdown', (e) => e.stopPropagation());
+        button.onclick = (e) => {
+            e.stopPropagation();
+            this.restorePin(pinId);
+        };
+        return button;
     }
 
-    updateTransform() {
-        this.canvas.style.transform = `translate(${state.panX}px, ${state.panY}px) scale(${state.zoom})`;
+    async restorePin(pinId) {
+        const change = this.changes.get(pinId);
+        if (!change || !change.before) return;
+        await state.restorePins([change.before], this.snapshot.connectors, `restore pin from "${this.snapshot.name}"`);
+        // A pin restored into a hidden frame or outside the filter stays where it is, out of view
+        if (!boardRenderer.isPinShown(pinId)) showToast('The restored pin is hidden by the current filter.');
     }
 
-    updateZoomDisplay() {
-        document.getElementById('zoomLevel').textContent = `${Math.round(state.zoom * 100)}%`;
+    // A short description of a pin for its ghost
+    static describePin(pin) {
+        return PinTypes.toText(pin).replace(/\s+/g, ' ').trim().slice(0, 80) ||
+            `${pin.type.charAt(0).toUpperCase()}${pin.type.slice(1)} pin`;
     }
 }
 
 // ===== Toolbar Controller =====
+// Keys the keyboard handler below takes for itself, so no pin type can have them as its shortcut.
+// A function so the built-in types can check it while registering, before this point runs.
+function isReservedShortcut(key) {
+    return ['+', '=', '-', '0', 'm', 'g', '/', '?', 'delete', 'backspace', 'escape'].includes(key.toLowerCase());
+}
+
 class ToolbarController {
     constructor() {
         this.attachEvents();
     }
 
     attachEvents() {
-        // Add pins
-        document.getElementById('addTextPin').onclick = () => this.addPin('text');
-        document.getElementById('addImagePin').onclick = () => this.addPin('image');
-        document.getElementById('addList').onclick = () => this.addPin('list');
+        // Add pins; types registered later get their button when they arrive
+        this.renderTypeButtons();
+        PinTypes.subscribe(() => this.renderTypeButtons());
 
         // Undo/Redo
         document.getElementById('undoBtn').onclick = () => state.undo();
@@ -807,30 +7496,78 @@ class ToolbarController {
         document.getElementById('saveSnapshot').onclick = () => this.showSnapshotModal();
         document.getElementById('loadSnapshot').onclick = () => this.showLoadModal();
 
+        // Board files
+        const importInput = document.getElementById('importFileInput');
+        document.getElementById('exportBoard').onclick = () => this.exportBoard();
+        document.getElementById('importBoard').onclick = () => importInput.click();
+        importInput.onchange = (e) => {
+            const file = e.target.files[0];
+            importInput.value = '';
+            if (file) this.importBoard(file);
+        };
+
+        // Image export
+        document.getElementById('exportImage').onclick = () => this.showImageExportModal();
+        document.getElementById('confirmImageExport').onclick = () => this.exportImage();
+
+        // Connectors
+        document.getElementById('confirmConnector').onclick = () => this.saveConnector();
+        document.getElementById('deleteConnector').onclick = () => this.deleteConnector();
+
+        // Selection
+        document.getElementById('tagSelection').onclick = () => boardRenderer.tagSelection();
+        document.getElementById('duplicateSelection').onclick = () => boardRenderer.duplicateSelection();
+        document.getElementById('deleteSelection').onclick = () => boardRenderer.deleteSelection();
+        document.getElementById('clearSelection').onclick = () => boardRenderer.clearSelection();
+
+        // Shortcut help
+        document.getElementById('showShortcuts').onclick = () => this.toggleShortcuts();
+
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
+            // Search takes over the browser's find, even while typing in a pin
+            if ((e.ctrlKey || e.metaKey) && e.key === 'f') {
+                e.preventDefault();
+                searchController.open();
+                return;
+            }
+
+            // Escape leaves a pin's editor and hands focus back to the pin
+            if (e.key === 'Escape' && e.target.closest('.pin') &&
+                (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA')) {
+                const pinElement = e.target.closest('.pin');
+                e.target.blur();
+                pinElement.focus({ preventScroll: true });
+                return;
+            }
+
             // Ignore if typing in input
             if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
 
+            if (this.handleNavigationKey(e)) return;
+
             if (e.ctrlKey || e.metaKey) {
                 if (e.key === 'z') {
                     e.preventDefault();
                     state.undo();
                 } else if (e.key === 'y') {
                     e.preventDefault();
-                    state.redo();
+                    state.redo();
+                } else if (e.key === 'd') {
+                    e.preventDefault();
+                    boardRenderer.duplicateSelection();
+                } else if (e.key === ']' || e.key === '}') {
+                    e.preventDefault();
+                    boardRenderer.arrangeSelection(e.shiftKey ? 'front' : 'forward');
+                } else if (e.key === '[' || e.key === '{') {
+                    e.preventDefault();
+                    boardRenderer.arrangeSelection(e.shiftKey ? 'back' : 'backward');
+                } else if (e.shiftKey && e.key.toLowerCase() === 'l') {
+                    e.preventDefault();
+                    boardRenderer.toggleLockSelection();
                 }
             } else {
                 switch (e.key.toLowerCase()) {
-                    case 't':
-                        this.addPin('text');
-                        break;
-                    case 'i':
-                        this.addPin('image');
-                        break;
-                    case 'l':
-                        this.addPin('list');
-                        break;
                     case '+':
                     case '=':
                         canvasController.zoom(1.2);
@@ -841,11 +7578,114 @@ class ToolbarController {
                     case '0':
                         canvasController.resetZoom();
                         break;
+                    case 'm':
+                        minimap.toggle();
+                        break;
+                    case 'delete':
+                    case 'backspace':
+                        boardRenderer.deleteSelection();
+                        break;
+                    case 'escape':
+                        boardRenderer.hidePinMenu();
+                        boardRenderer.endCrop();
+                        document.getElementById('shortcutsModal').classList.remove('active');
+                        document.getElementById('settingsModal').classList.remove('active');
+                        collaboration.hideModal();
+                        boardRenderer.clearSelection();
+                        if (document.activeElement && document.activeElement.closest('.pin')) {
+                            document.activeElement.blur();
+                        }
+                        break;
+                    case '/':
+                        e.preventDefault();
+                        searchController.open();
+                        break;
+                    case 'g':
+                        boardRenderer.cycleTagFilter(e.shiftKey ? -1 : 1);
+                        break;
+                    case '?':
+                        this.toggleShortcuts();
+                        break;
+                    default: {
+                        const type = PinTypes.forShortcut(e.key);
+                        if (type) this.addPin(type);
+                    }
                 }
             }
         });
     }
 
+    // Tab, arrows and Enter drive pins from the keyboard. Tab is only taken over when focus is
+    // on the board, so it still walks the toolbar as usual. Returns whether the key was handled.
+    handleNavigationKey(e) {
+        if (e.ctrlKey || e.metaKey) return false;
+        const onBoard = document.activeElement === document.body ||
+            document.getElementById('canvasContainer').contains(document.activeElement);
+        if (!onBoard) return false;
+
+        const directions = {
+            ArrowLeft: [-1, 0],
+            ArrowRight: [1, 0],
+            ArrowUp: [0, -1],
+            ArrowDown: [0, 1]
+        };
+
+        if (e.key === 'Tab') {
+            e.preventDefault();
+            boardRenderer.focusNextPin(e.shiftKey ? -1 : 1);
+            return true;
+        }
+
+        if (directions[e.key]) {
+            const [dirX, dirY] = directions[e.key];
+            if (e.altKey) {
+                e.preventDefault();
+                boardRenderer.focusPinInDirection(dirX, dirY);
+                return true;
+            }
+            if (boardRenderer.selectedPins.size > 0) {
+                e.preventDefault();
+                const step = e.shiftKey ? 10 : 1;
+                boardRenderer.nudgeSelection(dirX * step, dirY * step);
+                return true;
+            }
+            return false;
+        }
+
+        // Enter on a button inside a pin should still press the button
+        if (e.key === 'Enter' && !document.activeElement.closest('.pin button')) {
+            const pinId = boardRenderer.getFocusedPinId();
+            if (!pinId) return false;
+            e.preventDefault();
+            boardRenderer.editPin(pinId);
+            return true;
+        }
+
+        return false;
+    }
+
+    toggleShortcuts() {
+        document.getElementById('shortcutsModal').classList.toggle('active');
+    }
+
+    // One button for each pin type with a toolbar entry, in the order the types were registered
+    renderTypeButtons() {
+        const buttons = PinTypes.getAll().filter(definition => definition.toolbar).map(definition => {
+            const { label, icon, shortcut } = definition.toolbar;
+            const button = document.createElement('button');
+            button.className = 'tool-btn';
+            button.dataset.pinType = definition.type;
+            button.title = shortcut ? `Add ${label} (${shortcut.toUpperCase()})` : `Add ${label}`;
+            button.innerHTML = icon || '';
+            const text = document.createElement('span');
+            text.textContent = label;
+            button.appendChild(text);
+            button.onclick = () => this.addPin(definition.type);
+            return button;
+        });
+        document.getElementById('pinTypeButtons').replaceChildren(...buttons);
+    }
+
     addPin(type) {
         // Calculate center of visible area
         const container = document.getElementById('canvasContainer');
@@ -857,21 +7697,144 @@ class ToolbarController {
         const x = centerX + (Math.random() - 0.5) * 100;
         const y = centerY + (Math.random() - 0.5) * 100;
 
-        let pin;
-        switch (type) {
-            case 'text':
-                pin = PinFactory.createTextPin(x, y);
-                break;
-            case 'image':
-                pin = PinFactory.createImagePin(x, y);
-                break;
-            case 'list':
-                pin = PinFactory.createListPin(x, y);
-                break;
-        }
+        const pin = PinTypes.create(type, x, y);
 
         state.addPin(pin);
         boardRenderer.renderPin(pin);
+        if (type === 'frame') boardRenderer.renderTagList();
+    }
+
+    async exportBoard() {
+        const file = await BoardFile.create(state);
+        const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+        const date = new Date().toISOString().slice(0, 10);
+        downloadFile(`freeboard-${date}.json`, blob);
+    }
+
+    importBoard(file) {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            let parsed;
+            try {
+                parsed = BoardFile.parse(e.target.result);
+            } catch (error) {
+                alert(`Could not import "${file.name}": ${error.message}`);
+                return;
+            }
+            this.showImportModal(file.name, parsed);
+        };
+        reader.readAsText(file);
+    }
+
+    showImportModal(fileName, parsed) {
+        const modal = document.getElementById('importModal');
+        const pinCount = parsed.board.pins.length;
+        const snapshotCount = parsed.snapshots.length;
+
+        document.getElementById('importSummary').textContent =
+            `"${fileName}" contains ${pinCount} pin${pinCount === 1 ? '' : 's'} and ` +
+            `${snapshotCount} snapshot${snapshotCount === 1 ? '' : 's'}.`;
+
+        const importInto = async (mode) => {
+            modal.classList.remove('active');
+            let board, snapshots;
+            try {
+                board = await BoardFile.toBoard(parsed.board);
+                snapshots = await BoardFile.toSnapshots(parsed.snapshots);
+            } catch (error) {
+                reportStorageError(error);
+                return;
+            }
+            if (mode === 'replace') {
+                await state.replaceBoard(board, snapshots);
+            } else {
+                await state.mergeBoard(board, snapshots);
+            }
+        };
+
+        document.getElementById('replaceImport').onclick = () => importInto('replace');
+        document.getElementById('mergeImport').onclick = () => importInto('merge');
+
+        modal.classList.add('active');
+    }
+
+    showImageExportModal() {
+        const modal = document.getElementById('imageExportModal');
+        const area = document.getElementById('imageExportArea');
+        const selectionOption = area.querySelector('option[value="selection"]');
+
+        selectionOption.disabled = boardRenderer.selectedPins.size === 0;
+        if (selectionOption.disabled && area.value === 'selection') {
+            area.value = 'board';
+        }
+
+        modal.classList.add('active');
+    }
+
+    async exportImage() {
+        const format = document.getElementById('imageExportFormat').value;
+        const area = document.getElementById('imageExportArea').value;
+        const options = {
+            scale: parseFloat(document.getElementById('imageExportScale').value),
+            background: document.getElementById('imageExportBackground').value
+        };
+
+        const exporter = new ImageExporter();
+        const region = exporter.getRegion(area);
+        if (!region) {
+            alert('There are no pins to export.');
+            return;
+        }
+
+        const blob = format === 'svg'
+            ? await exporter.toSvg(region, options)
+            : await exporter.toPng(region, options);
+        if (!blob) {
+            showToast('The image is too large to export. Try a smaller scale or area.', { type: 'error' });
+            return;
+        }
+        const date = new Date().toISOString().slice(0, 10);
+        downloadFile(`freeboard-${date}.${format}`, blob);
+        document.getElementById('imageExportModal').classList.remove('active');
+    }
+
+    showConnectorModal(id) {
+        const connector = state.getConnector(id);
+        if (!connector) return;
+
+        const modal = document.getElementById('connectorModal');
+        modal.dataset.connectorId = id;
+        document.getElementById('connectorLabel').value = connector.label;
+        document.getElementById('connectorStartHead').value = connector.startHead;
+        document.getElementById('connectorEndHead').value = connector.endHead;
+        document.getElementById('connectorRouting').value = connector.routing;
+
+        boardRenderer.selectConnector(id);
+        modal.classList.add('active');
+        document.getElementById('connectorLabel').focus();
+    }
+
+    saveConnector() {
+        const modal = document.getElementById('connectorModal');
+        const id = modal.dataset.connectorId;
+
+        state.updateConnector(id, {
+            label: document.getElementById('connectorLabel').value.trim(),
+            startHead: document.getElementById('connectorStartHead').value,
+            endHead: document.getElementById('connectorEndHead').value,
+            routing: document.getElementById('connectorRouting').value
+        });
+        const connector = state.getConnector(id);
+        if (connector) boardRenderer.renderConnector(connector);
+        modal.classList.remove('active');
+    }
+
+    deleteConnector() {
+        const modal = document.getElementById('connectorModal');
+        state.deleteConnector(modal.dataset.connectorId);
+        boardRenderer.renderConnectors();
+        boardRenderer.pruneSelection();
+        modal.classList.remove('active');
     }
 
     showSnapshotModal() {
@@ -884,17 +7847,18 @@ class ToolbarController {
         input.select();
     }
 
-    showLoadModal() {
+    // Newest first, with the automatic snapshots marked
+    async showLoadModal() {
         const modal = document.getElementById('loadSnapshotModal');
         const list = document.getElementById('snapshotList');
 
-        const snapshots = state.getSnapshots();
+        const snapshots = (await state.getSnapshots()).sort((a, b) => Date.parse(b.date) - Date.parse(a.date));
 
         if (snapshots.length === 0) {
             list.innerHTML = '<p style="color: var(--text-tertiary); text-align: center; padding: 2rem;">No snapshots saved yet</p>';
         } else {
             list.innerHTML = '';
-            snapshots.forEach((snapshot, index) => {
+            snapshots.forEach(snapshot => {
                 const item = document.createElement('div');
                 item.className = 'snapshot-item';
 
@@ -908,6 +7872,12 @@ class ToolbarController {
                 const date = document.createElement('div');
                 date.className = 'snapshot-date';
                 date.textContent = new Date(snapshot.date).toLocaleString();
+                if (snapshot.auto) {
+                    const badge = document.createElement('span');
+                    badge.className = 'snapshot-badge';
+                    badge.textContent = 'Automatic';
+                    date.append(' ', badge);
+                }
 
                 info.appendChild(name);
                 info.appendChild(date);
@@ -915,11 +7885,22 @@ class ToolbarController {
                 const actions = document.createElement('div');
                 actions.className = 'snapshot-actions';
 
+                const compareBtn = document.createElement('button');
+                compareBtn.className = 'btn btn-secondary';
+                compareBtn.textContent = 'Compare';
+                compareBtn.title = 'Show what changed on the board since this snapshot';
+                compareBtn.onclick = () => {
+                    compareController.start(snapshot.id);
+                    modal.classList.remove('active');
+                };
+
                 const loadBtn = document.createElement('button');
                 loadBtn.className = 'btn btn-primary';
-                loadBtn.textContent = 'Load';
+                loadBtn.textContent = 'Restore';
+                loadBtn.title = 'Replace the board with this snapshot';
                 loadBtn.onclick = () => {
-                    state.loadSnapshot(index);
+                    compareController.end();
+                    state.loadSnapshot(snapshot.id);
                     modal.classList.remove('active');
                 };
 
@@ -928,11 +7909,12 @@ class ToolbarController {
                 deleteBtn.textContent = 'Delete';
                 deleteBtn.onclick = () => {
                     if (confirm('Delete this snapshot?')) {
-                        state.deleteSnapshot(index);
-                        this.showLoadModal();
+                        if (compareController.isActive() && compareController.snapshot.id === snapshot.id) compareController.end();
+                        state.deleteSnapshot(snapshot.id).then(() => this.showLoadModal());
                     }
                 };
 
+                actions.appendChild(compareBtn);
                 actions.appendChild(loadBtn);
                 actions.appendChild(deleteBtn);
 
@@ -946,6 +7928,461 @@ class ToolbarController {
     }
 }
 
+// ===== Board Switcher =====
+class BoardSwitcher {
+    constructor() {
+        this.modal = document.getElementById('boardsModal');
+        this.attachEvents();
+        this.updateLabel();
+    }
+
+    attachEvents() {
+        document.getElementById('boardSwitcher').onclick = () => this.showModal();
+        document.getElementById('closeBoardsModal').onclick = () => this.hideModal();
+        document.getElementById('cancelBoards').onclick = () => this.hideModal();
+        document.getElementById('newBoard').onclick = async () => {
+            const name = prompt('Board name:', 'Untitled Board');
+            if (name && name.trim()) {
+                const board = await boardManager.createBoard(name.trim());
+                await this.switchBoard(board.id);
+                this.hideModal();
+            }
+        };
+    }
+
+    async switchBoard(id) {
+        state = await boardManager.openBoard(id);
+        minimap.watch(state);
+
+        searchController.close();
+        compareController.end();
+        boardRenderer.endCrop();
+        boardRenderer.clearSelection();
+        boardRenderer.renderAllPins();
+        state.updateTagList();
+        canvasController.updateTransform();
+        canvasController.updateZoomDisplay();
+        state.updateUndoRedoButtons();
+        this.updateLabel();
+    }
+
+    updateLabel() {
+        const board = boardManager.getBoard(state.boardId);
+        document.getElementById('boardName').textContent = board ? board.name : '';
+    }
+
+    hideModal() {
+        this.modal.classList.remove('active');
+    }
+
+    showModal() {
+        const list = document.getElementById('boardList');
+        list.innerHTML = '';
+
+        boardManager.getBoards().forEach(board => {
+            const item = document.createElement('div');
+            item.className = `snapshot-item board-item ${board.id === state.boardId ? 'active' : ''}`;
+
+            const info = document.createElement('div');
+            info.className = 'snapshot-info';
+            info.title = 'Open board';
+            info.onclick = async () => {
+                await this.switchBoard(board.id);
+                this.hideModal();
+            };
+
+            const name = document.createElement('div');
+            name.className = 'snapshot-name';
+            name.textContent = board.name;
+
+            const date = document.createElement('div');
+            date.className = 'snapshot-date';
+            date.textContent = board.id === state.boardId
+                ? 'Current board'
+                : `Created ${new Date(board.created).toLocaleString()}`;
+
+            info.appendChild(name);
+            info.appendChild(date);
+
+            const actions = document.createElement('div');
+            actions.className = 'snapshot-actions';
+
+            const renameBtn = document.createElement('button');
+            renameBtn.className = 'btn btn-secondary';
+            renameBtn.textContent = 'Rename';
+            renameBtn.onclick = async () => {
+                const newName = prompt('Board name:', board.name);
+                if (newName && newName.trim()) {
+                    await boardManager.renameBoard(board.id, newName.trim());
+                    this.updateLabel();
+                    this.showModal();
+                }
+            };
+
+            const duplicateBtn = document.createElement('button');
+            duplicateBtn.className = 'btn btn-secondary';
+            duplicateBtn.textContent = 'Duplicate';
+            duplicateBtn.onclick = async () => {
+                await boardManager.duplicateBoard(board.id);
+                this.showModal();
+            };
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'btn btn-danger';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.onclick = async () => {
+                if (confirm(`Delete "${board.name}" and its snapshots?`)) {
+                    if (collaboration.isSharing(board.id)) collaboration.disconnect();
+                    await boardManager.deleteBoard(board.id);
+                    if (board.id === state.boardId || !boardManager.getBoard(state.boardId)) {
+                        await this.switchBoard(boardManager.getBoards()[0].id);
+                    }
+                    this.showModal();
+                }
+            };
+
+            actions.appendChild(renameBtn);
+            actions.appendChild(duplicateBtn);
+            actions.appendChild(deleteBtn);
+
+            item.appendChild(info);
+            item.appendChild(actions);
+            list.appendChild(item);
+        });
+
+        this.modal.classList.add('active');
+    }
+}
+
+// ===== Collaboration =====
+// Shares one board with the people in a relay room and shows where they are pointing and
+// what they have selected. Edits travel through BoardSync like any other change; presence
+// (cursor and selection) is sent from here, only over the relay, and never stored.
+const PEER_COLORS = ['#f97316', '#22c55e', '#3b82f6', '#ec4899', '#eab308', '#14b8a6', '#a855f7', '#ef4444'];
+const PRESENCE_INTERVAL = 50;
+
+class Collaboration {
+    static SETTINGS_KEY = 'freeboard_collab';
+
+    constructor() {
+        this.modal = document.getElementById('collabModal');
+        this.container = document.getElementById('canvasContainer');
+        this.cursorLayer = document.createElement('div');
+        this.cursorLayer.className = 'cursor-layer';
+        this.container.appendChild(this.cursorLayer);
+
+        this.settings = this.loadSettings();
+        this.transport = null;
+        this.status = 'disconnected';
+        // Other participants by client id: { name, color, cursor, selection }
+        this.peers = new Map();
+        this.cursorElements = new Map();
+        this.cursor = null;
+        this.presenceTimer = null;
+        this.lastPresence = 0;
+
+        this.attachEvents();
+    }
+
+    loadSettings() {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(Collaboration.SETTINGS_KEY)) || {};
+        } catch (error) {
+            console.error('Failed to read collaboration settings:', error);
+        }
+        return {
+            url: saved.url || 'ws://localhost:8787',
+            room: saved.room || '',
+            name: saved.name || ''
+        };
+    }
+
+    attachEvents() {
+        document.getElementById('collabButton').onclick = () => this.showModal();
+        document.getElementById('closeCollabModal').onclick = () => this.hideModal();
+        document.getElementById('collabShare').onclick = () => this.connectFromModal(false);
+        document.getElementById('collabJoin').onclick = () => this.connectFromModal(true);
+        document.getElementById('collabDisconnect').onclick = () => this.disconnect();
+
+        this.container.addEventListener('pointermove', (e) => {
+            this.cursor = canvasController.toBoardPoint(e.clientX, e.clientY);
+            this.schedulePresence();
+        });
+        this.container.addEventListener('pointerleave', () => {
+            this.cursor = null;
+            this.schedulePresence();
+        });
+    }
+
+    async connectFromModal(asNewBoard) {
+        const url = document.getElementById('collabUrl').value.trim();
+        const room = document.getElementById('collabRoom').value.trim();
+        const name = document.getElementById('collabName').value.trim();
+
+        if (!/^wss?:\/\/[^/]/i.test(url)) {
+            alert('The relay address must start with ws:// or wss://');
+            return;
+        }
+        if (!room) {
+            alert('Enter a room name.');
+            return;
+        }
+        this.settings = { url, room, name };
+        localStorage.setItem(Collaboration.SETTINGS_KEY, JSON.stringify(this.settings));
+
+        // Joining into a fresh board keeps someone else's pins from merging into one of ours
+        if (asNewBoard) {
+            const board = await boardManager.createBoard(`Shared: ${room}`);
+            await boardSwitcher.switchBoard(board.id);
+        }
+        this.connect(url, room, state.boardId);
+        this.hideModal();
+    }
+
+    connect(url, room, boardId) {
+        this.disconnect();
+        this.transport = new RelayTransport(url, room, boardId, {
+            onOpen: (transport) => this.handleOpen(transport),
+            onStatus: (status) => this.setStatus(status)
+        });
+        boardSync.addTransport(this.transport);
+    }
+
+    disconnect() {
+        if (!this.transport) return;
+        boardSync.removeTransport(this.transport);
+        this.transport = null;
+        clearTimeout(this.presenceTimer);
+        this.presenceTimer = null;
+        this.clearPeers();
+        this.updateModal();
+    }
+
+    isSharing(boardId) {
+        return Boolean(this.transport) && this.transport.boardId === boardId;
+    }
+
+    isViewing() {
+        return this.isSharing(state.boardId);
+    }
+
+    // Each side sends its whole board on (re)connecting, so edits made offline are merged too
+    handleOpen(transport) {
+        const boardState = boardManager.openBoards.get(transport.boardId);
+        boardSync.sendTo(transport, { type: 'hello', boardId: transport.boardId });
+        if (boardState) boardSync.sendTo(transport, boardState.getStateMessage());
+        this.sendPresence();
+    }
+
+    setStatus(status) {
+        const previous = this.status;
+        this.status = status;
+        document.getElementById('collabButton').classList.toggle('active', status === 'connected');
+
+        if (status === 'connected') {
+            showToast(`Connected to room "${this.settings.room}"`, { key: 'collab' });
+        } else if (status === 'offline') {
+            this.clearPeers();
+            if (previous !== 'offline') {
+                showToast('Lost the connection to the relay. Reconnecting...', { type: 'error', key: 'collab' });
+            }
+        }
+        this.updateModal();
+    }
+
+    receive(message) {
+        if (!this.transport || typeof message.clientId !== 'string') return;
+
+        switch (message.type) {
+            case 'hello':
+                this.sendPresence();
+                break;
+            case 'presence':
+                this.updatePeer(message);
+                break;
+            case 'leave':
+                if (this.peers.delete(message.clientId)) this.renderAll();
+                break;
+        }
+    }
+
+    updatePeer(message) {
+        const name = typeof message.name === 'string' && message.name.trim() ? message.name.trim().slice(0, 40) : 'Guest';
+        const cursor = message.cursor && isFiniteNumber(message.cursor.x) && isFiniteNumber(message.cursor.y)
+            ? { x: message.cursor.x, y: message.cursor.y }
+            : null;
+        const selection = Array.isArray(message.selection) ? message.selection.filter(id => typeof id === 'string') : [];
+
+        const previous = this.peers.get(message.clientId);
+        this.peers.set(message.clientId, { name, color: getPeerColor(message.clientId), cursor, selection });
+
+        if (!previous || previous.name !== name) {
+            this.renderPeers();
+            this.updateModal();
+        }
+        if (!previous || previous.selection.join() !== selection.join()) {
+            this.renderSelections();
+        }
+        this.renderCursors();
+    }
+
+    clearPeers() {
+        this.peers.clear();
+        this.renderAll();
+    }
+
+    // At most one presence message per PRESENCE_INTERVAL, always ending with the latest state
+    schedulePresence() {
+        if (!this.transport || this.presenceTimer) return;
+        const wait = Math.max(0, this.lastPresence + PRESENCE_INTERVAL - Date.now());
+        this.presenceTimer = setTimeout(() => {
+            this.presenceTimer = null;
+            this.sendPresence();
+        }, wait);
+    }
+
+    sendPresence() {
+        if (!this.transport || !this.transport.isOpen()) return;
+        this.lastPresence = Date.now();
+
+        const viewing = this.isViewing();
+        boardSync.sendTo(this.transport, {
+            type: 'presence',
+            boardId: this.transport.boardId,
+            name: this.settings.name,
+            cursor: viewing ? this.cursor : null,
+            selection: viewing ? Array.from(boardRenderer.selectedPins) : []
+        });
+    }
+
+    renderAll() {
+        this.renderPeers();
+        this.renderCursors();
+        this.renderSelections();
+        this.updateModal();
+    }
+
+    renderPeers() {
+        const list = document.getElementById('collabPeers');
+        list.innerHTML = '';
+        this.peers.forEach(peer => {
+            const avatar = document.createElement('span');
+            avatar.className = 'peer-avatar';
+            avatar.style.background = peer.color;
+            avatar.textContent = peer.name.charAt(0).toUpperCase();
+            avatar.title = peer.name;
+            list.appendChild(avatar);
+        });
+    }
+
+    // Cursors live outside the canvas (which is rebuilt on every full render) and are placed
+    // in screen space, so they keep their size at any zoom
+    renderCursors() {
+        const viewing = this.isViewing();
+
+        this.cursorElements.forEach((element, clientId) => {
+            if (!this.peers.has(clientId)) {
+                element.remove();
+                this.cursorElements.delete(clientId);
+            }
+        });
+        this.peers.forEach((peer, clientId) => {
+            let element = this.cursorElements.get(clientId);
+            if (!element) {
+                element = this.createCursor(peer);
+                this.cursorLayer.appendChild(element);
+                this.cursorElements.set(clientId, element);
+            }
+            element.querySelector('.remote-cursor-name').textContent = peer.name;
+            element.hidden = !viewing || !peer.cursor;
+            if (peer.cursor) {
+                const x = peer.cursor.x * state.zoom + state.panX;
+                const y = peer.cursor.y * state.zoom + state.panY;
+                element.style.transform = `translate(${x}px, ${y}px)`;
+            }
+        });
+    }
+
+    createCursor(peer) {
+        const element = document.createElement('div');
+        element.className = 'remote-cursor';
+        element.style.setProperty('--peer-color', peer.color);
+
+        const arrow = createSvgElement('svg', { width: 16, height: 16, viewBox: '0 0 16 16' });
+        arrow.appendChild(createSvgElement('path', { d: 'M1 1l5 14 2-6 6-2z' }));
+        element.appendChild(arrow);
+
+        const name = document.createElement('span');
+        name.className = 'remote-cursor-name';
+        element.appendChild(name);
+        return element;
+    }
+
+    renderSelections() {
+        document.querySelectorAll('#canvas .pin').forEach(pinElement => this.decoratePin(pinElement));
+    }
+
+    // Outlines a pin in the color of the first participant who has it selected
+    decoratePin(pinElement) {
+        const peer = this.isViewing()
+            ? Array.from(this.peers.values()).find(candidate => candidate.selection.includes(pinElement.id))
+            : null;
+
+        pinElement.classList.toggle('remote-selected', Boolean(peer));
+        if (peer) {
+            pinElement.style.setProperty('--peer-color', peer.color);
+            pinElement.dataset.peer = peer.name;
+        } else {
+            pinElement.style.removeProperty('--peer-color');
+            delete pinElement.dataset.peer;
+        }
+    }
+
+    hideModal() {
+        this.modal.classList.remove('active');
+    }
+
+    showModal() {
+        document.getElementById('collabUrl').value = this.settings.url;
+        document.getElementById('collabRoom').value = this.settings.room;
+        document.getElementById('collabName').value = this.settings.name;
+        this.updateModal();
+        this.modal.classList.add('active');
+        document.getElementById('collabRoom').focus();
+    }
+
+    updateModal() {
+        const status = document.getElementById('collabStatus');
+        document.getElementById('collabDisconnect').disabled = !this.transport;
+
+        if (!this.transport) {
+            status.textContent = 'Not connected.';
+            return;
+        }
+        const board = boardManager.getBoard(this.transport.boardId);
+        const where = `"${board ? board.name : 'a deleted board'}" in room "${this.transport.room}"`;
+        switch (this.status) {
+            case 'connecting':
+                status.textContent = `Connecting ${where}...`;
+                break;
+            case 'offline':
+                status.textContent = `Connection lost. Retrying ${where}...`;
+                break;
+            default:
+                status.textContent = `Sharing ${where} with ${this.peers.size} other${this.peers.size === 1 ? '' : 's'}.`;
+        }
+    }
+}
+
+function getPeerColor(clientId) {
+    let hash = 0;
+    for (let i = 0; i < clientId.length; i++) {
+        hash = (hash * 31 + clientId.charCodeAt(i)) >>> 0;
+    }
+    return PEER_COLORS[hash % PEER_COLORS.length];
+}
+
 // ===== Modal Controllers =====
 function setupModals() {
     // Snapshot modal
@@ -985,8 +8422,59 @@ function setupModals() {
         loadModal.classList.remove('active');
     };
 
+    // Import modal
+    const importModal = document.getElementById('importModal');
+
+    document.getElementById('closeImportModal').onclick = () => {
+        importModal.classList.remove('active');
+    };
+
+    document.getElementById('cancelImport').onclick = () => {
+        importModal.classList.remove('active');
+    };
+
+    // Export image modal
+    const imageExportModal = document.getElementById('imageExportModal');
+
+    document.getElementById('closeImageExportModal').onclick = () => {
+        imageExportModal.classList.remove('active');
+    };
+
+    document.getElementById('cancelImageExport').onclick = () => {
+        imageExportModal.classList.remove('active');
+    };
+
+    // Connector modal
+    const connectorModal = document.getElementById('connectorModal');
+    const connectorLabel = document.getElementById('connectorLabel');
+
+    document.getElementById('closeConnectorModal').onclick = () => {
+        connectorModal.classList.remove('active');
+    };
+
+    document.getElementById('cancelConnector').onclick = () => {
+        connectorModal.classList.remove('active');
+    };
+
+    connectorLabel.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            document.getElementById('confirmConnector').click();
+        }
+    });
+
+    // Shortcuts modal
+    const shortcutsModal = document.getElementById('shortcutsModal');
+
+    document.getElementById('closeShortcutsModal').onclick = () => {
+        shortcutsModal.classList.remove('active');
+    };
+
     // Close on backdrop click
-    [snapshotModal, loadModal].forEach(modal => {
+    const boardsModal = document.getElementById('boardsModal');
+    const collabModal = document.getElementById('collabModal');
+    const settingsModal = document.getElementById('settingsModal');
+
+    [snapshotModal, loadModal, importModal, imageExportModal, boardsModal, connectorModal, shortcutsModal, collabModal, settingsModal].forEach(modal => {
         modal.addEventListener('click', (e) => {
             if (e.target === modal) {
                 modal.classList.remove('active');
@@ -1029,21 +8517,91 @@ function setupThemeToggle() {
     };
 }
 
+// ===== Settings =====
+function setupSettings() {
+    const modal = document.getElementById('settingsModal');
+    const maxDimension = document.getElementById('imageMaxDimension');
+    const quality = document.getElementById('imageQuality');
+    const qualityValue = document.getElementById('imageQualityValue');
+    const snapshotInterval = document.getElementById('snapshotInterval');
+    const snapshotKeepCount = document.getElementById('snapshotKeepCount');
+    const snapshotKeepDays = document.getElementById('snapshotKeepDays');
+
+    const showQuality = () => {
+        qualityValue.textContent = `${Math.round(quality.value * 100)}%`;
+    };
+    const close = () => modal.classList.remove('active');
+
+    document.getElementById('showSettings').onclick = () => {
+        maxDimension.value = String(imageLibrary.settings.maxDimension);
+        quality.value = String(imageLibrary.settings.quality);
+        showQuality();
+        snapshotInterval.value = String(autoSnapshots.settings.interval);
+        snapshotKeepCount.value = String(autoSnapshots.settings.keepCount);
+        snapshotKeepDays.value = String(autoSnapshots.settings.keepDays);
+        modal.classList.add('active');
+    };
+    quality.oninput = showQuality;
+
+    document.getElementById('closeSettingsModal').onclick = close;
+    document.getElementById('cancelSettings').onclick = close;
+    document.getElementById('saveSettings').onclick = () => {
+        imageLibrary.updateSettings({
+            maxDimension: parseInt(maxDimension.value, 10),
+            quality: parseFloat(quality.value)
+        });
+        autoSnapshots.updateSettings({
+            interval: parseInt(snapshotInterval.value, 10),
+            keepCount: parseInt(snapshotKeepCount.value, 10),
+            keepDays: parseInt(snapshotKeepDays.value, 10)
+        });
+        close();
+        showToast('Settings saved', { duration: 1500 });
+    };
+}
+
 // ===== Initialize Application =====
-let state, boardRenderer, canvasController, toolbarController;
+let boardStore, imageLibrary, boardManager, boardSync, state, boardRenderer, tagEditor, canvasController, snapController, searchController, clipboardController, dropController, toolbarController, boardSwitcher, collaboration, autoSnapshots, compareController, minimap;
 
 // Initialize
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     // Initialize core objects in correct order
-    state = new BoardState();
+    boardStore = new BoardStore();
+    try {
+        await boardStore.open();
+        await boardStore.migrateFromLocalStorage();
+    } catch (error) {
+        console.error('Failed to open storage:', error);
+        showToast('FreeBoard could not open its browser storage, so boards cannot be loaded or saved.', { type: 'error', duration: 0 });
+        return;
+    }
+    imageLibrary = new ImageLibrary(boardStore);
+    boardManager = new BoardManager(boardStore);
+    boardSync = new BoardSync();
+    await boardManager.init();
+    state = await boardManager.openBoard(boardManager.getLastBoardId());
     boardRenderer = new BoardRenderer();
+    tagEditor = new TagEditor();
     canvasController = new CanvasController();
+    minimap = new Minimap();
+    snapController = new SnapController();
+    searchController = new SearchController();
+    clipboardController = new ClipboardController();
+    dropController = new DropController();
     toolbarController = new ToolbarController();
+    boardSwitcher = new BoardSwitcher();
+    collaboration = new Collaboration();
+    autoSnapshots = new AutoSnapshots();
+    compareController = new CompareController();
+    if (typeof BroadcastChannel === 'function') {
+        boardSync.addTransport(new BroadcastTransport());
+    }
 
     // Setup UI components
     setupModals();
     setupWelcomeScreen();
     setupThemeToggle();
+    setupSettings();
 
     // Render initial state
     boardRenderer.renderAllPins();
@@ -1051,4 +8609,12 @@ document.addEventListener('DOMContentLoaded', () => {
     canvasController.updateTransform();
     canvasController.updateZoomDisplay();
     state.updateUndoRedoButtons();
+
+    // Write pending changes before the page goes away
+    window.addEventListener('pagehide', () => boardManager.flushAll());
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') boardManager.flushAll();
+    });
+
+    imageLibrary.collectGarbage().catch(error => console.error('Failed to clean up images:', error));
 });
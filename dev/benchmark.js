@@ -0,0 +1,64 @@
+// Development benchmark; not part of the app. Load it after app.js, either with a
+// <script src="dev/benchmark.js"></script> tag in a local copy of index.html or by pasting this
+// file into the browser console, then run `runBenchmark()`. It fills a temporary board with pins,
+// pans and zooms across it for a few seconds, then reports frame times and deletes the board.
+// Panning and zooming should stay smooth at 5,000 pins.
+async function runBenchmark({ pins: count = 5000, duration = 5000 } = {}) {
+    const previousBoardId = state.boardId;
+    const board = await boardManager.createBoard('Benchmark');
+    await boardSwitcher.switchBoard(board.id);
+
+    const columns = Math.ceil(Math.sqrt(count));
+    const pins = Array.from({ length: count }, (_, index) => {
+        const x = (index % columns) * 340;
+        const y = Math.floor(index / columns) * 240;
+        const pin = index % 4 === 3 ? PinFactory.createListPin(x, y) : PinFactory.createTextPin(x, y);
+        if (pin.type === 'list') {
+            pin.items = [{ text: `Item ${index}`, completed: false }, { text: 'Another item', completed: true }];
+        } else {
+            pin.content = `Pin ${index}`;
+        }
+        return pin;
+    });
+    state.addPins(pins, 'benchmark');
+    boardRenderer.renderAllPins();
+
+    // Sweeps diagonally across the board while zooming between 20% and 120%
+    const rect = canvasController.container.getBoundingClientRect();
+    const size = { width: columns * 340, height: Math.ceil(count / columns) * 240 };
+    const frameTimes = [];
+    const start = performance.now();
+    await new Promise(resolve => {
+        let last = start;
+        const frame = (now) => {
+            frameTimes.push(now - last);
+            last = now;
+            const progress = Math.min(1, (now - start) / duration);
+            state.zoom = 0.7 - 0.5 * Math.cos(progress * Math.PI * 4);
+            state.panX = rect.width / 2 - size.width * progress * state.zoom;
+            state.panY = rect.height / 2 - size.height * progress * state.zoom;
+            canvasController.updateTransform();
+            if (progress < 1) {
+                requestAnimationFrame(frame);
+            } else {
+                resolve();
+            }
+        };
+        requestAnimationFrame(frame);
+    });
+
+    const sorted = frameTimes.slice(1).sort((a, b) => a - b);
+    const result = {
+        pins: count,
+        frames: sorted.length,
+        averageFrameMs: Math.round(sorted.reduce((sum, time) => sum + time, 0) / sorted.length * 10) / 10,
+        p95FrameMs: Math.round(sorted[Math.floor(sorted.length * 0.95)] * 10) / 10,
+        slowestFrameMs: Math.round(sorted[sorted.length - 1] * 10) / 10,
+        renderedPins: boardRenderer.getPinElements().length
+    };
+
+    await boardSwitcher.switchBoard(previousBoardId);
+    await boardManager.deleteBoard(board.id);
+    console.table(result);
+    return result;
+}
@@ -0,0 +1,76 @@
+// Link pins: a web address with an optional title. An example of a custom pin type; load it
+// after app.js with <script src="plugins/link-pin.js"></script>.
+PinTypes.register('link', {
+    toolbar: {
+        label: 'Link',
+        shortcut: 'k',
+        icon: `
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71" />
+                <path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71" />
+            </svg>
+        `
+    },
+    color: '#06b6d4',
+    width: 300,
+    height: 160,
+    minHeight: 140,
+    defaults: () => ({ url: '', title: '' }),
+
+    render(pin, content) {
+        content.style.display = 'grid';
+        content.style.gap = '8px';
+        [['title', 'Title'], ['url', 'https://...']].forEach(([key, placeholder]) => {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'input-field';
+            input.placeholder = placeholder;
+            input.value = pin[key] || '';
+            input.oninput = (e) => {
+                state.updatePin(pin.id, { [key]: e.target.value }, { coalesce: true });
+            };
+            // Shows or hides the open button once the address is entered
+            input.onchange = () => boardRenderer.renderPin(state.getPin(pin.id));
+            content.appendChild(input);
+        });
+    },
+
+    headerButtons(pin) {
+        const url = String(pin.url || '').trim();
+        if (!/^https?:\/\//i.test(url)) return [];
+        const openBtn = document.createElement('button');
+        openBtn.className = 'pin-btn';
+        openBtn.title = `Open ${url}`;
+        openBtn.textContent = '↗';
+        openBtn.onclick = (e) => {
+            e.stopPropagation();
+            window.open(url, '_blank', 'noopener');
+        };
+        return [openBtn];
+    },
+
+    validate(pin, where) {
+        ['url', 'title'].forEach(key => {
+            if (typeof pin[key] !== 'string') {
+                throw new Error(`${where}.${key} must be a string.`);
+            }
+        });
+    },
+
+    // The first version of this type kept the address in `href`
+    migrate(pin) {
+        if (pin.url !== undefined || pin.href === undefined) return pin;
+        const { href, ...rest } = pin;
+        return { ...rest, url: href, title: rest.title || '' };
+    },
+
+    searchText: (pin) => [
+        { field: 'Link', text: pin.title },
+        { field: 'Link', text: pin.url }
+    ],
+    toText: (pin) => [pin.title, pin.url].filter(Boolean).join('\n'),
+
+    layout(pin, box, theme, ops, exporter) {
+        exporter.layoutText([pin.title, pin.url].filter(Boolean).join('\n'), box.x, box.y, box.width, box.bottom, theme, ops);
+    }
+});
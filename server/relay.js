@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+// ===== FreeBoard Relay =====
+// A reference relay for collaborating on a board. Browsers connect over WebSocket to
+// ws://host:port/?room=NAME and every message is passed on, unchanged, to the other
+// browsers in the same room. The relay keeps no board state: a newcomer asks the peers
+// already in the room for theirs. There is no authentication, so only run it on a
+// network you trust.
+//
+// Usage: node server/relay.js [port]     (default 8787, or $PORT)
+// No dependencies: WebSocket framing (RFC 6455) is handled below.
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT || process.argv[2] || 8787);
+const MAX_MESSAGE_SIZE = 16 * 1024 * 1024;
+const PING_INTERVAL = 30000;
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xa
+};
+
+// Room name -> Set of peers
+const rooms = new Map();
+
+class Peer {
+    constructor(socket, room) {
+        this.socket = socket;
+        this.room = room;
+        // Learned from the first message the browser sends
+        this.clientId = null;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentsSize = 0;
+        this.alive = true;
+        this.closing = false;
+
+        socket.setNoDelay(true);
+        socket.on('data', (chunk) => this.receive(chunk));
+        socket.on('close', () => leave(this));
+        socket.on('error', () => socket.destroy());
+    }
+
+    receive(chunk) {
+        this.alive = true;
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        let frame;
+        while (!this.closing && (frame = this.readFrame())) {
+            this.handleFrame(frame);
+        }
+    }
+
+    // Takes one complete frame off the buffer, or returns null if it hasn't all arrived
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+        if (length > MAX_MESSAGE_SIZE) {
+            this.close(1009);
+            return null;
+        }
+
+        // Browsers must mask every frame they send (RFC 6455, section 5.1)
+        if (!masked) {
+            this.close(1002);
+            return null;
+        }
+
+        const maskOffset = offset;
+        offset += 4;
+        if (buffer.length < offset + length) return null;
+
+        const payload = Buffer.from(buffer.subarray(offset, offset + length));
+        for (let i = 0; i < length; i++) {
+            payload[i] ^= buffer[maskOffset + (i % 4)];
+        }
+        this.buffer = buffer.subarray(offset + length);
+        return { fin, opcode, payload };
+    }
+
+    handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case OPCODES.continuation:
+            case OPCODES.text:
+            case OPCODES.binary:
+                this.fragments.push(payload);
+                this.fragmentsSize += payload.length;
+                if (this.fragmentsSize > MAX_MESSAGE_SIZE) {
+                    this.close(1009);
+                    return;
+                }
+                if (fin) {
+                    const message = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.fragmentsSize = 0;
+                    relay(this, message);
+                }
+                break;
+            case OPCODES.close:
+                this.close();
+                break;
+            case OPCODES.ping:
+                this.sendFrame(OPCODES.pong, payload);
+                break;
+        }
+    }
+
+    send(text) {
+        this.sendFrame(OPCODES.text, Buffer.from(text, 'utf8'));
+    }
+
+    // Server frames are never masked
+    sendFrame(opcode, payload) {
+        if (this.socket.destroyed) return;
+
+        const length = payload.length;
+        let header;
+        if (length < 126) {
+            header = Buffer.from([0x80 | opcode, length]);
+        } else if (length < 65536) {
+            header = Buffer.alloc(4);
+            header[1] = 126;
+            header.writeUInt16BE(length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(length), 2);
+        }
+        header[0] = 0x80 | opcode;
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    close(code = 1000) {
+        if (this.closing) return;
+        this.closing = true;
+
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this.sendFrame(OPCODES.close, payload);
+        this.socket.end();
+    }
+}
+
+function join(peer) {
+    if (!rooms.has(peer.room)) rooms.set(peer.room, new Set());
+    rooms.get(peer.room).add(peer);
+    log(`join "${peer.room}" (${rooms.get(peer.room).size} connected)`);
+}
+
+function leave(peer) {
+    const room = rooms.get(peer.room);
+    if (!room || !room.delete(peer)) return;
+
+    if (peer.clientId) {
+        broadcast(peer, JSON.stringify({ type: 'leave', clientId: peer.clientId }));
+    }
+    if (room.size === 0) rooms.delete(peer.room);
+    log(`leave "${peer.room}" (${room.size} connected)`);
+}
+
+function relay(peer, message) {
+    if (!peer.clientId) {
+        try {
+            const parsed = JSON.parse(message);
+            if (typeof parsed.clientId === 'string') peer.clientId = parsed.clientId;
+        } catch (error) {
+            return;
+        }
+    }
+    broadcast(peer, message);
+}
+
+function broadcast(sender, message) {
+    const room = rooms.get(sender.room);
+    if (!room) return;
+    room.forEach(peer => {
+        if (peer !== sender) peer.send(message);
+    });
+}
+
+function log(message) {
+    console.log(`[${new Date().toISOString()}] ${message}`);
+}
+
+const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('FreeBoard relay: connect with a WebSocket to ?room=NAME\n');
+});
+
+// `head` holds whatever the browser sent after the handshake in the same packet, which can be
+// the start of its first frame
+server.on('upgrade', (req, socket, head) => {
+    const key = req.headers['sec-websocket-key'];
+    const room = new URL(req.url, 'http://relay').searchParams.get('room');
+
+    if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket' || !room) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    const peer = new Peer(socket, room);
+    join(peer);
+    if (head.length > 0) peer.receive(head);
+});
+
+// Drops connections that stopped answering pings, e.g. a laptop that went to sleep
+setInterval(() => {
+    rooms.forEach(room => room.forEach(peer => {
+        if (!peer.alive) {
+            peer.socket.destroy();
+            return;
+        }
+        peer.alive = false;
+        peer.sendFrame(OPCODES.ping, Buffer.alloc(0));
+    }));
+}, PING_INTERVAL).unref();
+
+server.listen(PORT, () => log(`FreeBoard relay listening on ws://localhost:${PORT}`));